@@ -11,6 +11,18 @@
 // Store CodeMirror instances
 const editorInstances = new Map();
 
+// Gutter used to flag the line where Python code failed
+const ERROR_GUTTER = 'exercise-error-gutter';
+
+// Error markers per textarea: { line, widget }
+const errorMarkers = new Map();
+
+// Drafts are stored per exercise under this localStorage prefix
+const DRAFT_KEY_PREFIX = 'exercise-draft:';
+
+// Delay between the last keystroke and saving the draft (ms)
+const DRAFT_SAVE_DELAY = 500;
+
 /**
  * Patch CodeMirror event listeners to use passive mode where possible
  * This reduces non-passive event listener warnings and improves scroll performance
@@ -61,6 +73,7 @@ function initCodeEditor(textareaId, options = {}) {
         mode: 'python',
         theme: 'monokai',
         lineNumbers: true,
+        gutters: ['CodeMirror-linenumbers', ERROR_GUTTER],
         indentUnit: 4,
         tabSize: 4,
         indentWithTabs: false,
@@ -139,9 +152,23 @@ function initCodeEditor(textareaId, options = {}) {
         }
     }
     
+    // A saved draft takes precedence over the starter code
+    // Drafts are kept for exercise forms only, not for editors embedded elsewhere (quizzes)
+    const exerciseId = textarea.getAttribute('data-exercise-id');
+    const starterCode = (textarea.getAttribute('data-initial') || '').replace(/\\n/g, '\n');
+    const starterHash = hashText(textarea.getAttribute('data-initial') || '');
+    const draft = exerciseId ? loadDraft(exerciseId) : null;
+    if (draft) {
+        initialValue = draft.code;
+    }
+    
     // Initialize CodeMirror
     const editor = CodeMirror.fromTextArea(textarea, config);
     
+    if (draft) {
+        showDraftNotice(editor, exerciseId, draft, draft.starterHash !== starterHash);
+    }
+    
     // Set initial size - use pixel height for proper scrolling
     const minHeight = 300;
     const maxHeight = 600;
@@ -173,6 +200,25 @@ function initCodeEditor(textareaId, options = {}) {
     
     // Auto-adjust height based on content (debounced to prevent forced reflow)
     editor.on('change', debouncedResize);
+    
+    // Error markers describe the code as it was run - drop them on the next edit
+    editor.on('change', () => clearCodeErrors(textareaId));
+    
+    // Autosave edits made by the student (programmatic setValue is not a draft)
+    let draftTimeout = null;
+    editor.on('change', (cm, change) => {
+        if (!exerciseId || change.origin === 'setValue') return;
+        clearTimeout(draftTimeout);
+        draftTimeout = setTimeout(() => {
+            const code = cm.getValue();
+            // Back to the starter code: nothing worth restoring
+            if (code === starterCode) {
+                clearDraft(exerciseId);
+            } else {
+                saveDraft(exerciseId, code, starterHash);
+            }
+        }, DRAFT_SAVE_DELAY);
+    });
 
     // CRITICAL: Set initial value AFTER initialization
     // Use requestAnimationFrame to batch operations and avoid forced reflow
@@ -441,6 +487,156 @@ function setCodeValue(textareaId, code) {
     }
 }
 
+/**
+ * Highlight a failing line: gutter marker, line background and inline message
+ * @param {string} textareaId - ID of the textarea
+ * @param {number} line - 1-based line number
+ * @param {string} message - Error message to show under the line
+ * @returns {boolean} - True if the marker was placed
+ */
+function markCodeError(textareaId, line, message) {
+    const editor = editorInstances.get(textareaId);
+    if (!editor || !line) {
+        return false;
+    }
+    
+    clearCodeErrors(textareaId);
+    
+    const lineIndex = Math.min(Math.max(line - 1, 0), editor.lastLine());
+    
+    const marker = document.createElement('div');
+    marker.className = 'exercise-error-marker';
+    marker.textContent = '●';
+    marker.title = message || '';
+    editor.setGutterMarker(lineIndex, ERROR_GUTTER, marker);
+    
+    const lineHandle = editor.addLineClass(lineIndex, 'background', 'exercise-error-line');
+    
+    let widget = null;
+    if (message) {
+        const messageNode = document.createElement('div');
+        messageNode.className = 'exercise-error-message';
+        messageNode.textContent = message;
+        widget = editor.addLineWidget(lineIndex, messageNode, { noHScroll: true });
+    }
+    
+    errorMarkers.set(textareaId, { lineHandle, widget });
+    editor.scrollIntoView({ line: lineIndex, ch: 0 }, 60);
+    return true;
+}
+
+/**
+ * Remove error markers placed by markCodeError
+ * @param {string} textareaId - ID of the textarea
+ */
+function clearCodeErrors(textareaId) {
+    const markers = errorMarkers.get(textareaId);
+    const editor = editorInstances.get(textareaId);
+    if (!markers || !editor) {
+        return;
+    }
+    
+    errorMarkers.delete(textareaId);
+    editor.clearGutter(ERROR_GUTTER);
+    editor.removeLineClass(markers.lineHandle, 'background', 'exercise-error-line');
+    if (markers.widget) {
+        markers.widget.clear();
+    }
+}
+
+/**
+ * Remove the CodeMirror instance of a textarea whose markup is being replaced
+ * @param {string} textareaId - ID of the textarea
+ */
+function destroyCodeEditor(textareaId) {
+    const editor = editorInstances.get(textareaId);
+    if (!editor) {
+        return;
+    }
+    
+    clearCodeErrors(textareaId);
+    editor.toTextArea();
+    editorInstances.delete(textareaId);
+}
+
+/**
+ * Read the saved draft of an exercise
+ * @param {string} exerciseId - Exercise ID
+ * @returns {{code: string, starterHash: string, savedAt: number}|null}
+ */
+function loadDraft(exerciseId) {
+    try {
+        const draft = JSON.parse(localStorage.getItem(DRAFT_KEY_PREFIX + exerciseId));
+        return draft && typeof draft.code === 'string' ? draft : null;
+    } catch (e) {
+        // Storage disabled or corrupted entry - start from the starter code
+        return null;
+    }
+}
+
+/**
+ * Save the student's code for an exercise
+ * @param {string} exerciseId - Exercise ID
+ * @param {string} code - Current editor content
+ * @param {string} starterHash - Fingerprint of the starter code it was written against
+ */
+function saveDraft(exerciseId, code, starterHash) {
+    try {
+        localStorage.setItem(DRAFT_KEY_PREFIX + exerciseId, JSON.stringify({
+            code,
+            starterHash,
+            savedAt: Date.now()
+        }));
+    } catch (e) {
+        // Quota exceeded or storage disabled - drafts are best effort
+    }
+}
+
+/**
+ * Forget the saved draft of an exercise
+ * @param {string} exerciseId - Exercise ID
+ */
+function clearDraft(exerciseId) {
+    try {
+        localStorage.removeItem(DRAFT_KEY_PREFIX + exerciseId);
+    } catch (e) {
+        // Storage disabled - nothing to clear
+    }
+}
+
+/**
+ * Tell the student their code was restored from a draft
+ * @param {CodeMirror} editor - Editor the draft was loaded into
+ * @param {string} exerciseId - Exercise ID
+ * @param {{savedAt: number}} draft - Restored draft
+ * @param {boolean} outdated - True if the exercise's starter code changed since the draft was saved
+ */
+function showDraftNotice(editor, exerciseId, draft, outdated) {
+    const notice = document.createElement('div');
+    notice.className = outdated ? 'draft-notice outdated' : 'draft-notice';
+    notice.id = `draft_notice_${exerciseId}`;
+    
+    const date = new Date(draft.savedAt).toLocaleString(I18n.getLocale());
+    const text = document.createElement('span');
+    text.textContent = t(outdated ? 'editor.draftOutdated' : 'editor.draftRestored', { date });
+    
+    const resetButton = document.createElement('button');
+    resetButton.type = 'button';
+    resetButton.className = 'draft-notice-reset';
+    resetButton.textContent = t('editor.resetToInitial');
+    resetButton.addEventListener('click', () => resetCodeEditor(exerciseId));
+    
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'draft-notice-close';
+    closeButton.setAttribute('aria-label', t('editor.hide'));
+    closeButton.textContent = '✕';
+    closeButton.addEventListener('click', () => notice.remove());
+    
+    notice.append(text, resetButton, closeButton);
+    editor.getWrapperElement().before(notice);
+}
+
 /**
  * Initialize all code editors on the page
  */
@@ -535,6 +731,13 @@ function resetCodeEditor(exerciseId) {
     
     setCodeValue(textareaId, decodedCode);
     
+    // The starter code is the new baseline: forget the draft
+    clearDraft(exerciseId);
+    const notice = document.getElementById(`draft_notice_${exerciseId}`);
+    if (notice) {
+        notice.remove();
+    }
+    
     // Hide output
     const output = document.getElementById(`output_${exerciseId}`);
     if (output) {
@@ -569,4 +772,7 @@ window.getCodeEditor = getCodeEditor;
 window.getCodeValue = getCodeValue;
 window.setCodeValue = setCodeValue;
 window.resetCodeEditor = resetCodeEditor;
+window.markCodeError = markCodeError;
+window.clearCodeErrors = clearCodeErrors;
+window.destroyCodeEditor = destroyCodeEditor;
 
@@ -0,0 +1,562 @@
+/**
+ * 🌐 UI Translations
+ * Message catalog for the quiz, the code editor, the exercise runner and the
+ * progress dashboard.
+ * Loaded before the other scripts, which look strings up with the global t()
+ *
+ * Language: the one picked with the header switcher (kept in localStorage),
+ * otherwise the page language (`theme.language` in mkdocs.yml), otherwise
+ * Russian. Server-rendered markup (main.py) marks its strings with
+ * `data-i18n` / `data-i18n-placeholder`, translated when the page loads
+ *
+ * A message is a string with {placeholders} or, for counted phrases, an object
+ * of plural forms chosen by Intl.PluralRules for the `count` parameter
+ * (ru: one / few / many / other, en: one / other)
+ */
+
+const I18N_DEFAULT_LANGUAGE = 'ru';
+const I18N_STORAGE_KEY = 'ui-language';
+const I18N_LANGUAGES = {
+    ru: { label: 'RU', name: 'Русский', locale: 'ru-RU' },
+    en: { label: 'EN', name: 'English', locale: 'en-US' }
+};
+
+const I18N_MESSAGES = {
+    ru: {
+        // Shared
+        'common.testsPassed': 'Пройдено тестов: {passed}/{total}',
+        'common.seconds': '{count} с',
+
+        // Quiz: grades
+        'quiz.grade.excellent': 'Отлично!',
+        'quiz.grade.good': 'Хорошо!',
+        'quiz.grade.satisfactory': 'Удовлетворительно',
+        'quiz.grade.review': 'Нужно повторить',
+
+        // Quiz: header, timers and hints
+        'quiz.stats.question': 'Вопрос',
+        'quiz.stats.total': 'Всего',
+        'quiz.stats.answered': 'Отвечено',
+        'quiz.stats.score': 'Очки',
+        'quiz.questionLegend': 'Вопрос {current} из {total}: {text}',
+        'quiz.timer.quiz': 'Осталось',
+        'quiz.timer.question': 'На вопрос',
+        'quiz.keys.options': '<kbd>1</kbd>–<kbd>9</kbd> — выбор варианта',
+        'quiz.keys.check': '<kbd>Enter</kbd> — проверить / далее',
+        'quiz.keys.save': '<kbd>Enter</kbd> — сохранить / далее',
+        'quiz.keys.navigate': '<kbd>←</kbd> <kbd>→</kbd> — между вопросами',
+
+        // Quiz: answer areas
+        'quiz.output.label': 'Вывод программы',
+        'quiz.output.placeholder': 'Что выведет этот код?',
+        'quiz.fill.placeholder': 'Ваш ответ',
+        'quiz.order.up': 'Выше',
+        'quiz.order.moveUp': 'Переместить выше',
+        'quiz.order.down': 'Ниже',
+        'quiz.order.moveDown': 'Переместить ниже',
+        'quiz.matching.label': 'Пара для: {left}',
+        'quiz.matching.choose': '— выберите —',
+        'quiz.answer.tests': 'тесты: {passed}/{total}',
+
+        // Quiz: buttons
+        'quiz.button.prev': '← Назад',
+        'quiz.button.next': 'Далее →',
+        'quiz.button.check': 'Проверить',
+        'quiz.button.checking': '⏳ Проверка...',
+        'quiz.button.save': 'Сохранить ответ →',
+        'quiz.button.review': 'Обзор ответов 📋',
+        'quiz.button.finish': 'Завершить 🎯',
+        'quiz.button.finishAndCheck': 'Завершить и проверить 🎯',
+        'quiz.button.change': 'Изменить',
+        'quiz.button.restart': 'Пройти еще раз',
+        'quiz.button.startOver': 'Начать заново',
+        'quiz.button.export': '📥 Скачать результаты',
+        'quiz.button.back': 'Вернуться к курсу',
+
+        // Quiz: feedback
+        'quiz.resume.title': 'Продолжаем с места остановки',
+        'quiz.resume.text': 'Отвечено вопросов: {answered} из {total}.',
+        'quiz.timeUp.title': 'Время вышло',
+        'quiz.timeUp.text': 'Ответ на этот вопрос не засчитан.',
+        'quiz.missing.text.title': 'Введите ответ!',
+        'quiz.missing.text.text': 'Пожалуйста, впишите ответ в поле.',
+        'quiz.missing.code.title': 'Напишите код!',
+        'quiz.missing.code.text': 'Редактор пуст.',
+        'quiz.missing.matching.title': 'Сопоставьте все пары!',
+        'quiz.missing.matching.text': 'Выберите соответствие для каждого элемента.',
+        'quiz.missing.options.title': 'Выберите ответ!',
+        'quiz.missing.options.text': 'Пожалуйста, выберите хотя бы один вариант ответа.',
+        'quiz.noPython.title': 'Python недоступен',
+        'quiz.noPython.text': 'Не удалось загрузить среду выполнения кода.',
+        'quiz.noPython.review': 'Код не проверен: не удалось загрузить среду выполнения.',
+        'quiz.checkingCode.title': 'Проверка кода...',
+        'quiz.checkingCode.text': {
+            one: 'Запуск тестов для {count} вопроса',
+            few: 'Запуск тестов для {count} вопросов',
+            many: 'Запуск тестов для {count} вопросов',
+            other: 'Запуск тестов для {count} вопроса'
+        },
+        'quiz.result.correct': 'Правильно!',
+        'quiz.result.partial': 'Частично верно',
+        'quiz.result.wrong': 'Неправильно',
+        'quiz.result.points': 'Баллы: {earned} из {points}',
+        'quiz.result.penalty': {
+            one: 'Штраф: {count} балл',
+            few: 'Штраф: {count} балла',
+            many: 'Штраф: {count} баллов',
+            other: 'Штраф: {count} балла'
+        },
+        'quiz.correctAnswer': 'Правильный ответ:',
+        'quiz.correctOrder': 'Правильный порядок:',
+
+        // Quiz: review and finish
+        'quiz.review.title': '📋 Обзор ответов',
+        'quiz.review.question': 'Вопрос {number}: {text}',
+        'quiz.confirmUnanswered': {
+            one: 'Без ответа остался {count} вопрос. Завершить тест?',
+            few: 'Без ответа осталось {count} вопроса. Завершить тест?',
+            many: 'Без ответа осталось {count} вопросов. Завершить тест?',
+            other: 'Без ответа осталось {count} вопроса. Завершить тест?'
+        },
+        'quiz.final.title': 'Тест завершен!',
+        'quiz.final.timedOut': '⏰ Время теста истекло',
+        'quiz.final.score': {
+            one: 'Ваш результат: {score} из {count} балла ({percentage}%)',
+            few: 'Ваш результат: {score} из {count} баллов ({percentage}%)',
+            many: 'Ваш результат: {score} из {count} баллов ({percentage}%)',
+            other: 'Ваш результат: {score} из {count} балла ({percentage}%)'
+        },
+        'quiz.final.time': {
+            one: 'Время выполнения: {count} секунда',
+            few: 'Время выполнения: {count} секунды',
+            many: 'Время выполнения: {count} секунд',
+            other: 'Время выполнения: {count} секунды'
+        },
+        'quiz.final.correct': 'Правильных ответов: {correct} из {total}',
+        'quiz.details.title': '📊 Детальные результаты:',
+        'quiz.details.question': 'Вопрос {number}:',
+        'quiz.details.correct': 'Правильно',
+        'quiz.details.partial': 'Частично верно',
+        'quiz.details.wrong': 'Неправильно',
+        'quiz.details.points': 'баллы: {earned} из {points}',
+        'quiz.details.timeUp': 'время вышло',
+        'quiz.history.title': '📜 История попыток:',
+        'quiz.history.score': '{score} из {max} ({percentage}%)',
+        'quiz.dataError': '⚠️ Тест не может быть показан: ошибка в данных (#{id})',
+        'quiz.invalidJson': 'Некорректный JSON: {message}',
+
+        // Review of missed questions (quiz-review.js)
+        'review.collected': {
+            one: '🔁 В повторение добавлен {count} вопрос с ошибкой.',
+            few: '🔁 В повторение добавлено {count} вопроса с ошибками.',
+            many: '🔁 В повторение добавлено {count} вопросов с ошибками.',
+            other: '🔁 В повторение добавлено {count} вопроса с ошибками.'
+        },
+        'review.open': 'Перейти к повторению',
+        'review.quizTitle': 'Повторение на сегодня',
+        'review.quizDescription': 'Вопросы из тестов курса, в которых были ошибки: {count}',
+        'review.stats.due': 'К повторению сегодня',
+        'review.stats.total': 'Вопросов в повторении',
+        'review.stats.learned': 'Выучено (интервал от 3 недель)',
+        'review.empty': 'Пока нечего повторять: вопросы, в которых вы ошибетесь в тестах уроков, появятся здесь.',
+        'review.done': 'На сегодня все повторено. Следующее повторение: {date}.',
+        'review.clear': '🗑️ Очистить повторение',
+        'review.confirmClear': 'Удалить все вопросы из повторения?',
+
+        // Progress dashboard (progress.js)
+        'progress.summary.lessons': 'Уроков завершено',
+        'progress.summary.exercises': 'Упражнений решено',
+        'progress.summary.quizzes': 'Тестов сдано',
+        'progress.table.lesson': 'Урок',
+        'progress.table.exercises': 'Упражнения',
+        'progress.table.quizzes': 'Тесты (лучший результат)',
+        'progress.empty': 'Пока нет результатов: решите упражнение или пройдите тест в любом уроке.',
+        'progress.export': '⬇️ Экспорт в JSON',
+        'progress.import': '⬆️ Импорт из JSON',
+        'progress.clear': '🗑️ Сбросить прогресс',
+        'progress.confirmClear': 'Удалить весь сохраненный прогресс?',
+        'progress.imported': {
+            one: '✅ Импортирована {count} страница',
+            few: '✅ Импортировано {count} страницы',
+            many: '✅ Импортировано {count} страниц',
+            other: '✅ Импортировано страниц: {count}'
+        },
+        'progress.error.notJson': 'Файл не является JSON',
+        'progress.error.notExport': 'Файл не похож на экспорт прогресса курса',
+        'progress.error.invalidPage': 'Некорректные данные страницы "{key}"',
+
+        // Code editor
+        'editor.draftRestored': '💾 Восстановлен сохраненный черновик от {date}.',
+        'editor.draftOutdated': '⚠️ Восстановлен черновик от {date}, но начальный код упражнения с тех пор изменился.',
+        'editor.resetToInitial': 'Вернуть начальный код',
+        'editor.hide': 'Скрыть',
+
+        // Exercise runner
+        'runner.codeLabel': 'Ваш код:',
+        'runner.placeholder': 'Введите ваш код здесь...',
+        'runner.run': '🚀 Запустить и проверить',
+        'runner.running': '⏳ Выполняется...',
+        'runner.stop': '⏹ Остановить',
+        'runner.reset': '🔄 Сбросить',
+        'runner.resultsTitle': 'Результаты проверки:',
+        'runner.loading.download': '⬇️ Загрузка Python (Pyodide)...',
+        'runner.loading.init': '⚙️ Запуск интерпретатора...',
+        'runner.loading.packages': '📦 Загрузка пакетов...',
+        'runner.loading.failed': '❌ Не удалось загрузить Python. Проверьте подключение и запустите упражнение еще раз.',
+        'runner.installing': '📦 Установка пакета {name} ({index}/{total})...',
+        'runner.installFailed': '📦 Не удалось установить пакеты: {message}',
+        'runner.timeout': '⏱️ Превышено время выполнения ({seconds} с). Проверьте код на бесконечные циклы.',
+        'runner.stopped': '⏹ Выполнение остановлено',
+        'runner.executionError': 'Ошибка выполнения: {message}',
+        'runner.userFile': 'ваш код',
+        'runner.test': 'Тест {number}: {name}',
+        'runner.duration': '{ms} мс',
+        'runner.stdout': 'Вывод программы:',
+        'runner.stderr': 'Поток ошибок (stderr):',
+        'runner.noTests.title': 'ℹ️ Код выполнен успешно',
+        'runner.noTests.text': 'Тесты не были запущены. Добавьте код и проверьте его выполнение.',
+        'runner.allPassed': '✅ Поздравляем! Все тесты пройдены!',
+        'runner.someFailed': '❌ Не все тесты пройдены',
+        'runner.hasErrors': '❌ Есть ошибки в коде',
+        'runner.unknownError': 'Неизвестная ошибка',
+        'runner.hints': 'Подсказки:',
+        'runner.simple.syntaxOk': '✅ Синтаксис корректен',
+        'runner.simple.needDefReturn': 'Функция должна содержать def и return',
+        'runner.simple.hintDef': 'Добавьте ключевое слово def',
+        'runner.simple.hintReturn': 'Добавьте оператор return',
+        'runner.simple.codeError': 'Ошибка в коде: {message}',
+
+        // Language switcher
+        'i18n.switch': 'Переключить язык интерфейса: {name}'
+    },
+
+    en: {
+        'common.testsPassed': 'Tests passed: {passed}/{total}',
+        'common.seconds': '{count} s',
+
+        'quiz.grade.excellent': 'Excellent!',
+        'quiz.grade.good': 'Good!',
+        'quiz.grade.satisfactory': 'Satisfactory',
+        'quiz.grade.review': 'Needs review',
+
+        'quiz.stats.question': 'Question',
+        'quiz.stats.total': 'Total',
+        'quiz.stats.answered': 'Answered',
+        'quiz.stats.score': 'Score',
+        'quiz.questionLegend': 'Question {current} of {total}: {text}',
+        'quiz.timer.quiz': 'Time left',
+        'quiz.timer.question': 'This question',
+        'quiz.keys.options': '<kbd>1</kbd>–<kbd>9</kbd> — pick an option',
+        'quiz.keys.check': '<kbd>Enter</kbd> — check / next',
+        'quiz.keys.save': '<kbd>Enter</kbd> — save / next',
+        'quiz.keys.navigate': '<kbd>←</kbd> <kbd>→</kbd> — switch questions',
+
+        'quiz.output.label': 'Program output',
+        'quiz.output.placeholder': 'What does this code print?',
+        'quiz.fill.placeholder': 'Your answer',
+        'quiz.order.up': 'Up',
+        'quiz.order.moveUp': 'Move up',
+        'quiz.order.down': 'Down',
+        'quiz.order.moveDown': 'Move down',
+        'quiz.matching.label': 'Match for: {left}',
+        'quiz.matching.choose': '— choose —',
+        'quiz.answer.tests': 'tests: {passed}/{total}',
+
+        'quiz.button.prev': '← Back',
+        'quiz.button.next': 'Next →',
+        'quiz.button.check': 'Check',
+        'quiz.button.checking': '⏳ Checking...',
+        'quiz.button.save': 'Save answer →',
+        'quiz.button.review': 'Review answers 📋',
+        'quiz.button.finish': 'Finish 🎯',
+        'quiz.button.finishAndCheck': 'Finish and check 🎯',
+        'quiz.button.change': 'Change',
+        'quiz.button.restart': 'Try again',
+        'quiz.button.startOver': 'Start over',
+        'quiz.button.export': '📥 Download results',
+        'quiz.button.back': 'Back to the course',
+
+        'quiz.resume.title': 'Picking up where you left off',
+        'quiz.resume.text': 'Questions answered: {answered} of {total}.',
+        'quiz.timeUp.title': "Time's up",
+        'quiz.timeUp.text': 'This question was not counted.',
+        'quiz.missing.text.title': 'Enter an answer!',
+        'quiz.missing.text.text': 'Please type your answer into the field.',
+        'quiz.missing.code.title': 'Write some code!',
+        'quiz.missing.code.text': 'The editor is empty.',
+        'quiz.missing.matching.title': 'Match all pairs!',
+        'quiz.missing.matching.text': 'Choose a match for every item.',
+        'quiz.missing.options.title': 'Choose an answer!',
+        'quiz.missing.options.text': 'Please select at least one option.',
+        'quiz.noPython.title': 'Python unavailable',
+        'quiz.noPython.text': 'The code runtime could not be loaded.',
+        'quiz.noPython.review': 'Code was not checked: the runtime could not be loaded.',
+        'quiz.checkingCode.title': 'Checking code...',
+        'quiz.checkingCode.text': {
+            one: 'Running tests for {count} question',
+            other: 'Running tests for {count} questions'
+        },
+        'quiz.result.correct': 'Correct!',
+        'quiz.result.partial': 'Partially correct',
+        'quiz.result.wrong': 'Incorrect',
+        'quiz.result.points': 'Points: {earned} of {points}',
+        'quiz.result.penalty': {
+            one: 'Penalty: {count} point',
+            other: 'Penalty: {count} points'
+        },
+        'quiz.correctAnswer': 'Correct answer:',
+        'quiz.correctOrder': 'Correct order:',
+
+        'quiz.review.title': '📋 Review answers',
+        'quiz.review.question': 'Question {number}: {text}',
+        'quiz.confirmUnanswered': {
+            one: '{count} question is unanswered. Finish the quiz?',
+            other: '{count} questions are unanswered. Finish the quiz?'
+        },
+        'quiz.final.title': 'Quiz complete!',
+        'quiz.final.timedOut': '⏰ The quiz time ran out',
+        'quiz.final.score': {
+            one: 'Your score: {score} of {count} point ({percentage}%)',
+            other: 'Your score: {score} of {count} points ({percentage}%)'
+        },
+        'quiz.final.time': {
+            one: 'Time taken: {count} second',
+            other: 'Time taken: {count} seconds'
+        },
+        'quiz.final.correct': 'Correct answers: {correct} of {total}',
+        'quiz.details.title': '📊 Detailed results:',
+        'quiz.details.question': 'Question {number}:',
+        'quiz.details.correct': 'Correct',
+        'quiz.details.partial': 'Partially correct',
+        'quiz.details.wrong': 'Incorrect',
+        'quiz.details.points': 'points: {earned} of {points}',
+        'quiz.details.timeUp': 'time ran out',
+        'quiz.history.title': '📜 Attempt history:',
+        'quiz.history.score': '{score} of {max} ({percentage}%)',
+        'quiz.dataError': "⚠️ This quiz can't be shown: its data has errors (#{id})",
+        'quiz.invalidJson': 'Invalid JSON: {message}',
+
+        'review.collected': {
+            one: '🔁 {count} missed question was added to your review.',
+            other: '🔁 {count} missed questions were added to your review.'
+        },
+        'review.open': 'Go to review',
+        'review.quizTitle': "Today's review",
+        'review.quizDescription': 'Course quiz questions you got wrong: {count}',
+        'review.stats.due': 'Due today',
+        'review.stats.total': 'Questions in review',
+        'review.stats.learned': 'Learned (3+ week interval)',
+        'review.empty': 'Nothing to review yet: questions you get wrong in lesson quizzes will show up here.',
+        'review.done': 'All done for today. Next review: {date}.',
+        'review.clear': '🗑️ Clear review',
+        'review.confirmClear': 'Remove all questions from the review?',
+
+        'progress.summary.lessons': 'Lessons completed',
+        'progress.summary.exercises': 'Exercises solved',
+        'progress.summary.quizzes': 'Quizzes passed',
+        'progress.table.lesson': 'Lesson',
+        'progress.table.exercises': 'Exercises',
+        'progress.table.quizzes': 'Quizzes (best result)',
+        'progress.empty': 'No results yet: solve an exercise or take a quiz in any lesson.',
+        'progress.export': '⬇️ Export to JSON',
+        'progress.import': '⬆️ Import from JSON',
+        'progress.clear': '🗑️ Reset progress',
+        'progress.confirmClear': 'Delete all saved progress?',
+        'progress.imported': {
+            one: '✅ Imported {count} page',
+            other: '✅ Imported {count} pages'
+        },
+        'progress.error.notJson': 'The file is not JSON',
+        'progress.error.notExport': "The file doesn't look like a course progress export",
+        'progress.error.invalidPage': 'Invalid data for page "{key}"',
+
+        'editor.draftRestored': '💾 Restored your draft from {date}.',
+        'editor.draftOutdated': "⚠️ Restored your draft from {date}, but the exercise's starter code has changed since.",
+        'editor.resetToInitial': 'Restore starter code',
+        'editor.hide': 'Hide',
+
+        'runner.codeLabel': 'Your code:',
+        'runner.placeholder': 'Enter your code here...',
+        'runner.run': '🚀 Run and check',
+        'runner.running': '⏳ Running...',
+        'runner.stop': '⏹ Stop',
+        'runner.reset': '🔄 Reset',
+        'runner.resultsTitle': 'Results:',
+        'runner.loading.download': '⬇️ Downloading Python (Pyodide)...',
+        'runner.loading.init': '⚙️ Starting the interpreter...',
+        'runner.loading.packages': '📦 Loading packages...',
+        'runner.loading.failed': '❌ Python could not be loaded. Check your connection and run the exercise again.',
+        'runner.installing': '📦 Installing {name} ({index}/{total})...',
+        'runner.installFailed': '📦 Packages could not be installed: {message}',
+        'runner.timeout': '⏱️ Time limit exceeded ({seconds} s). Check your code for infinite loops.',
+        'runner.stopped': '⏹ Execution stopped',
+        'runner.executionError': 'Execution error: {message}',
+        'runner.userFile': 'your code',
+        'runner.test': 'Test {number}: {name}',
+        'runner.duration': '{ms} ms',
+        'runner.stdout': 'Program output:',
+        'runner.stderr': 'Error stream (stderr):',
+        'runner.noTests.title': 'ℹ️ Code ran successfully',
+        'runner.noTests.text': 'No tests were run. Add code and check how it runs.',
+        'runner.allPassed': '✅ Well done! All tests passed!',
+        'runner.someFailed': '❌ Some tests failed',
+        'runner.hasErrors': '❌ Your code has errors',
+        'runner.unknownError': 'Unknown error',
+        'runner.hints': 'Hints:',
+        'runner.simple.syntaxOk': '✅ Syntax is valid',
+        'runner.simple.needDefReturn': 'The function must contain def and return',
+        'runner.simple.hintDef': 'Add the def keyword',
+        'runner.simple.hintReturn': 'Add a return statement',
+        'runner.simple.codeError': 'Error in code: {message}',
+
+        'i18n.switch': 'Switch interface language: {name}'
+    }
+};
+
+function readStoredLanguage() {
+    try {
+        return localStorage.getItem(I18N_STORAGE_KEY);
+    } catch (e) {
+        // Storage disabled - fall back to the page language
+        return null;
+    }
+}
+
+/**
+ * Current UI language
+ * @returns {string} - A key of I18N_LANGUAGES
+ */
+function getLanguage() {
+    const candidates = [readStoredLanguage(), document.documentElement.lang];
+    for (const candidate of candidates) {
+        const language = String(candidate || '').toLowerCase().split('-')[0];
+        if (I18N_MESSAGES[language]) {
+            return language;
+        }
+    }
+    return I18N_DEFAULT_LANGUAGE;
+}
+
+/**
+ * Locale for dates and numbers in the current language, e.g. 'ru-RU'
+ */
+function getLocale() {
+    return I18N_LANGUAGES[getLanguage()].locale;
+}
+
+/**
+ * Remember the language chosen with the switcher and redraw the page in it
+ * @param {string} language - A key of I18N_LANGUAGES
+ */
+function setLanguage(language) {
+    if (!I18N_MESSAGES[language]) return;
+    try {
+        localStorage.setItem(I18N_STORAGE_KEY, language);
+    } catch (e) {
+        console.warn('⚠️ Language choice could not be saved:', e.message);
+    }
+    window.location.reload();
+}
+
+function selectPluralForm(forms, count, language) {
+    let category = 'other';
+    if (typeof Intl !== 'undefined' && Intl.PluralRules) {
+        category = new Intl.PluralRules(I18N_LANGUAGES[language].locale).select(count);
+    }
+    return forms[category] !== undefined ? forms[category] : forms.other;
+}
+
+/**
+ * Translate a message
+ * @param {string} key - Message key, e.g. 'quiz.button.check'
+ * @param {object} params - Values for {placeholders}; `count` also picks the plural form
+ * @returns {string} - The message in the current language, in Russian if it has no
+ *                     translation, or the key itself if the message is unknown
+ */
+function t(key, params = {}) {
+    const language = getLanguage();
+    let message = I18N_MESSAGES[language][key];
+    if (message === undefined) {
+        message = I18N_MESSAGES[I18N_DEFAULT_LANGUAGE][key];
+    }
+    if (message === undefined) {
+        console.warn(`⚠️ Missing translation: ${key}`);
+        return key;
+    }
+    if (typeof message === 'object') {
+        message = selectPluralForm(message, params.count, language);
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        params[name] !== undefined ? String(params[name]) : placeholder);
+}
+
+/**
+ * Add or override messages, e.g. for another language or a lesson's own widgets
+ * @param {string} language - Language code
+ * @param {object} messages - Key -> message
+ * @param {{label: string, name: string, locale: string}} [info] - Required for a new language
+ */
+function addMessages(language, messages, info) {
+    if (info) {
+        I18N_LANGUAGES[language] = info;
+    }
+    I18N_MESSAGES[language] = { ...(I18N_MESSAGES[language] || {}), ...messages };
+}
+
+/**
+ * Translate server-rendered markup: `data-i18n` sets the text,
+ * `data-i18n-placeholder` the placeholder
+ * @param {Element|Document} root - Where to look
+ */
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+}
+
+/**
+ * Language switcher in the site header: cycles through the languages
+ */
+function renderLanguageSwitcher() {
+    const header = document.querySelector('.md-header__inner');
+    if (!header || header.querySelector('.i18n-switcher')) return;
+
+    const languages = Object.keys(I18N_LANGUAGES);
+    const current = getLanguage();
+    const next = languages[(languages.indexOf(current) + 1) % languages.length];
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'md-header__button i18n-switcher';
+    button.textContent = I18N_LANGUAGES[current].label;
+    button.title = t('i18n.switch', { name: I18N_LANGUAGES[next].name });
+    button.setAttribute('aria-label', button.title);
+    button.addEventListener('click', () => setLanguage(next));
+
+    const source = header.querySelector('.md-header__source');
+    header.insertBefore(button, source);
+}
+
+function initI18n() {
+    translatePage();
+    renderLanguageSwitcher();
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initI18n);
+} else {
+    initI18n();
+}
+
+// Export for lesson scripts; t() itself is a global
+window.I18n = {
+    t,
+    getLanguage,
+    getLocale,
+    setLanguage,
+    addMessages,
+    translatePage
+};
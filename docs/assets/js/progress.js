@@ -0,0 +1,439 @@
+/**
+ * Course progress tracking
+ * Stores exercise and quiz results per page in localStorage, marks finished
+ * pages in the navigation and renders the progress dashboard
+ *
+ * Stored shape (key PROGRESS_STORAGE_KEY):
+ * {
+ *   version: 1,
+ *   pages: {
+ *     "<page path>": {
+ *       title, exerciseCount, quizCount,
+ *       exercises: { "<exercise id>": { passed, testsPassed, totalTests, attempts, updatedAt } },
+ *       quizzes: { "<quiz id>": { score, maxScore, percentage, bestPercentage, passPercentage, attempts, updatedAt } }
+ *     }
+ *   }
+ * }
+ */
+
+const PROGRESS_STORAGE_KEY = 'course-progress';
+const PROGRESS_VERSION = 1;
+
+// A quiz counts as finished from this percentage (the "Удовлетворительно" grade),
+// unless the quiz reported its own pass mark
+const QUIZ_PASS_PERCENTAGE = 60;
+
+// This script lives in assets/js/, two levels below the site root
+const PROGRESS_SITE_ROOT = new URL('../../', document.currentScript.src);
+
+/**
+ * Page key: path relative to the site root, e.g. "curriculum/module-01-solid/02-single-responsibility/"
+ * @param {string} href - Page URL (absolute or relative to the current page)
+ * @returns {string|null} - Key, or null for URLs outside the site
+ */
+function getPageKey(href = window.location.href) {
+    const url = new URL(href, window.location.href);
+    if (url.origin !== PROGRESS_SITE_ROOT.origin || !url.pathname.startsWith(PROGRESS_SITE_ROOT.pathname)) {
+        return null;
+    }
+    return decodeURIComponent(url.pathname.slice(PROGRESS_SITE_ROOT.pathname.length)).replace(/index\.html$/, '');
+}
+
+/**
+ * Whether a stored key names a page of this site (imported files can hold anything)
+ * @param {string} key - Page key
+ */
+function isSitePageKey(key) {
+    try {
+        return getPageKey(new URL(key, PROGRESS_SITE_ROOT).href) === key;
+    } catch (e) {
+        return false;
+    }
+}
+
+function emptyProgress() {
+    return { version: PROGRESS_VERSION, pages: {} };
+}
+
+/**
+ * Read the whole progress store
+ * @returns {object} - Progress data (empty if nothing is stored)
+ */
+function loadProgress() {
+    try {
+        const data = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY));
+        return data && data.pages ? data : emptyProgress();
+    } catch (e) {
+        // Storage disabled or corrupted entry
+        return emptyProgress();
+    }
+}
+
+function saveProgress(data) {
+    try {
+        localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(data));
+    } catch (e) {
+        console.warn('⚠️ Progress could not be saved:', e.message);
+    }
+}
+
+/**
+ * Get (and create if missing) the record of the current page
+ * Exercise and quiz counts are refreshed so that the page can be judged complete
+ * @param {object} data - Progress data
+ * @returns {object} - Page record
+ */
+function currentPageRecord(data) {
+    const key = getPageKey();
+    const page = data.pages[key] || { exercises: {}, quizzes: {} };
+    const heading = document.querySelector('article h1') || document.querySelector('h1');
+
+    page.title = heading ? heading.textContent.replace('¶', '').trim() : document.title;
+    page.exerciseCount = document.querySelectorAll('.code-exercise[data-total-tests]:not([data-total-tests="0"])').length;
+    page.quizCount = document.querySelectorAll('.quiz-container').length;
+    data.pages[key] = page;
+    return page;
+}
+
+/**
+ * Record an exercise run on the current page
+ * A passed exercise stays passed; the best test count is kept
+ * @param {string} exerciseId - Exercise ID
+ * @param {{testsPassed: number, totalTests: number}} result - Run outcome
+ */
+function recordExerciseResult(exerciseId, result) {
+    const data = loadProgress();
+    const page = currentPageRecord(data);
+    const previous = page.exercises[exerciseId] || { passed: false, testsPassed: 0, attempts: 0 };
+
+    page.exercises[exerciseId] = {
+        passed: previous.passed || (result.totalTests > 0 && result.testsPassed === result.totalTests),
+        testsPassed: Math.max(previous.testsPassed, result.testsPassed),
+        totalTests: result.totalTests,
+        attempts: previous.attempts + 1,
+        updatedAt: Date.now()
+    };
+
+    saveProgress(data);
+    updateNavigationMarks();
+}
+
+/**
+ * Record a finished quiz on the current page
+ * @param {string} quizId - Quiz container ID
+ * @param {{score: number, maxScore: number, percentage: number, passPercentage: number}} result - Final score
+ */
+function recordQuizResult(quizId, result) {
+    const data = loadProgress();
+    const page = currentPageRecord(data);
+    const previous = page.quizzes[quizId] || { bestPercentage: 0, attempts: 0 };
+
+    page.quizzes[quizId] = {
+        score: result.score,
+        maxScore: result.maxScore,
+        percentage: result.percentage,
+        bestPercentage: Math.max(previous.bestPercentage, result.percentage),
+        passPercentage: result.passPercentage,
+        attempts: previous.attempts + 1,
+        updatedAt: Date.now()
+    };
+
+    saveProgress(data);
+    updateNavigationMarks();
+}
+
+/**
+ * Summarize a page record
+ * @param {object} page - Page record
+ * @returns {{exercisesPassed: number, exerciseCount: number, quizzesPassed: number,
+ *            quizCount: number, status: string}} - status is 'complete', 'partial' or 'none'
+ */
+function getPageStatus(page) {
+    const exercises = Object.values(page.exercises || {});
+    const quizzes = Object.values(page.quizzes || {});
+    const exercisesPassed = exercises.filter(exercise => exercise.passed).length;
+    const quizzesPassed = quizzes.filter(quiz =>
+        quiz.bestPercentage >= (typeof quiz.passPercentage === 'number' ? quiz.passPercentage : QUIZ_PASS_PERCENTAGE)
+    ).length;
+    // Counts come from the last visit; fall back to what was recorded
+    const exerciseCount = Math.max(page.exerciseCount || 0, exercises.length);
+    const quizCount = Math.max(page.quizCount || 0, quizzes.length);
+
+    let status = 'none';
+    if (exercises.length + quizzes.length > 0) {
+        const finished = exercisesPassed === exerciseCount && quizzesPassed === quizCount;
+        status = finished ? 'complete' : 'partial';
+    }
+
+    return { exercisesPassed, exerciseCount, quizzesPassed, quizCount, status };
+}
+
+/**
+ * Mark navigation links of pages with recorded progress
+ */
+function updateNavigationMarks() {
+    const data = loadProgress();
+
+    // Table of contents entries ("#anchor") belong to the current page, not to lessons
+    document.querySelectorAll('.md-nav__link[href]:not([href^="#"])').forEach(link => {
+        const key = getPageKey(link.getAttribute('href'));
+        const page = key !== null ? data.pages[key] : null;
+        const status = page ? getPageStatus(page).status : 'none';
+
+        link.classList.toggle('progress-complete', status === 'complete');
+        link.classList.toggle('progress-partial', status === 'partial');
+    });
+}
+
+/**
+ * Download the progress store as a JSON file
+ */
+function exportProgress() {
+    const blob = new Blob([JSON.stringify(loadProgress(), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `course-progress-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Safari and older Firefox cancel a download whose URL is revoked right after click()
+    setTimeout(() => URL.revokeObjectURL(link.href), 60 * 1000);
+}
+
+function isCount(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function isOptionalCount(value) {
+    return value === undefined || isCount(value);
+}
+
+function isRecordMap(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidExerciseRecord(exercise) {
+    return isRecordMap(exercise) &&
+        typeof exercise.passed === 'boolean' &&
+        isCount(exercise.testsPassed) &&
+        ['totalTests', 'attempts', 'updatedAt'].every(field => isOptionalCount(exercise[field]));
+}
+
+function isValidQuizRecord(quiz) {
+    return isRecordMap(quiz) &&
+        isCount(quiz.bestPercentage) &&
+        ['percentage', 'passPercentage', 'maxScore', 'attempts', 'updatedAt'].every(field => isOptionalCount(quiz[field])) &&
+        // Negative marking can take a score below zero
+        (quiz.score === undefined || (typeof quiz.score === 'number' && Number.isFinite(quiz.score)));
+}
+
+/**
+ * Check a page record of an imported file
+ * @param {string} key - Page key
+ * @param {object} page - Page record
+ * @returns {boolean}
+ */
+function isValidPageRecord(key, page) {
+    return isSitePageKey(key) &&
+        isRecordMap(page) &&
+        (page.title === undefined || typeof page.title === 'string') &&
+        isOptionalCount(page.exerciseCount) &&
+        isOptionalCount(page.quizCount) &&
+        (page.exercises === undefined || (isRecordMap(page.exercises) && Object.values(page.exercises).every(isValidExerciseRecord))) &&
+        (page.quizzes === undefined || (isRecordMap(page.quizzes) && Object.values(page.quizzes).every(isValidQuizRecord)));
+}
+
+/**
+ * Merge exported progress into the store, keeping the better result of each item
+ * @param {string} json - Contents of an exported file
+ * @returns {number} - Number of pages in the imported file
+ * @throws {Error} - If the file is not an exported progress store
+ */
+function importProgress(json) {
+    let imported;
+    try {
+        imported = JSON.parse(json);
+    } catch (e) {
+        throw new Error(t('progress.error.notJson'));
+    }
+    if (!imported || !isRecordMap(imported.pages) || imported.version !== PROGRESS_VERSION) {
+        throw new Error(t('progress.error.notExport'));
+    }
+    const invalidKey = Object.keys(imported.pages).find(key => !isValidPageRecord(key, imported.pages[key]));
+    if (invalidKey !== undefined) {
+        throw new Error(t('progress.error.invalidPage', { key: invalidKey }));
+    }
+
+    const data = loadProgress();
+    Object.entries(imported.pages).forEach(([key, importedPage]) => {
+        const page = data.pages[key] || { exercises: {}, quizzes: {} };
+        page.title = page.title || importedPage.title;
+        page.exerciseCount = Math.max(page.exerciseCount || 0, importedPage.exerciseCount || 0);
+        page.quizCount = Math.max(page.quizCount || 0, importedPage.quizCount || 0);
+
+        Object.entries(importedPage.exercises || {}).forEach(([id, exercise]) => {
+            const current = page.exercises[id];
+            if (!current || (exercise.passed && !current.passed) || exercise.testsPassed > current.testsPassed) {
+                page.exercises[id] = exercise;
+            }
+        });
+        Object.entries(importedPage.quizzes || {}).forEach(([id, quiz]) => {
+            const current = page.quizzes[id];
+            if (!current || quiz.bestPercentage > current.bestPercentage) {
+                page.quizzes[id] = quiz;
+            }
+        });
+
+        data.pages[key] = page;
+    });
+
+    saveProgress(data);
+    updateNavigationMarks();
+    return Object.keys(imported.pages).length;
+}
+
+/**
+ * Forget all recorded progress
+ */
+function clearProgress() {
+    try {
+        localStorage.removeItem(PROGRESS_STORAGE_KEY);
+    } catch (e) {
+        // Storage disabled - nothing to clear
+    }
+    updateNavigationMarks();
+}
+
+/**
+ * Render the dashboard into #course-progress-dashboard (see progress.md)
+ */
+function renderProgressDashboard() {
+    const container = document.getElementById('course-progress-dashboard');
+    if (!container) return;
+
+    const data = loadProgress();
+    const pages = Object.entries(data.pages).map(([key, page]) => ({ key, page, ...getPageStatus(page) }));
+    const totals = pages.reduce((sum, page) => ({
+        exercisesPassed: sum.exercisesPassed + page.exercisesPassed,
+        exerciseCount: sum.exerciseCount + page.exerciseCount,
+        quizzesPassed: sum.quizzesPassed + page.quizzesPassed,
+        quizCount: sum.quizCount + page.quizCount,
+        complete: sum.complete + (page.status === 'complete' ? 1 : 0)
+    }), { exercisesPassed: 0, exerciseCount: 0, quizzesPassed: 0, quizCount: 0, complete: 0 });
+
+    const escape = (text) => String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+
+    const rows = pages
+        .sort((a, b) => a.key.localeCompare(b.key))
+        .map(({ key, page, exercisesPassed, exerciseCount, quizzesPassed, quizCount, status }) => {
+            const bestQuiz = Object.values(page.quizzes || {})
+                .map(quiz => `${escape(quiz.bestPercentage)}%`)
+                .join(', ');
+            const icon = status === 'complete' ? '✅' : '⏳';
+            const title = escape(page.title || key);
+            // Stored data may predate import checks: no link for foreign keys
+            const link = isSitePageKey(key)
+                ? `<a href="${escape(new URL(key, PROGRESS_SITE_ROOT).href)}">${title}</a>`
+                : title;
+            return `
+                <tr>
+                    <td>${icon} ${link}</td>
+                    <td>${exerciseCount > 0 ? `${escape(exercisesPassed)}/${escape(exerciseCount)}` : '—'}</td>
+                    <td>${quizCount > 0 ? `${escape(quizzesPassed)}/${escape(quizCount)}${bestQuiz ? ` (${bestQuiz})` : ''}` : '—'}</td>
+                </tr>
+            `;
+        }).join('');
+
+    container.innerHTML = `
+        <div class="progress-summary">
+            <div class="progress-summary-item">
+                <span class="progress-summary-value">${escape(totals.complete)}</span>
+                <span class="progress-summary-label">${t('progress.summary.lessons')}</span>
+            </div>
+            <div class="progress-summary-item">
+                <span class="progress-summary-value">${escape(totals.exercisesPassed)}/${escape(totals.exerciseCount)}</span>
+                <span class="progress-summary-label">${t('progress.summary.exercises')}</span>
+            </div>
+            <div class="progress-summary-item">
+                <span class="progress-summary-value">${escape(totals.quizzesPassed)}/${escape(totals.quizCount)}</span>
+                <span class="progress-summary-label">${t('progress.summary.quizzes')}</span>
+            </div>
+        </div>
+
+        ${pages.length > 0 ? `
+            <table class="progress-table">
+                <thead>
+                    <tr><th>${t('progress.table.lesson')}</th><th>${t('progress.table.exercises')}</th><th>${t('progress.table.quizzes')}</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        ` : `<p class="progress-empty">${t('progress.empty')}</p>`}
+
+        <div class="progress-actions">
+            <button type="button" class="quiz-btn quiz-btn-primary" data-progress-action="export">${t('progress.export')}</button>
+            <label class="quiz-btn quiz-btn-secondary">
+                ${t('progress.import')}
+                <input type="file" accept="application/json,.json" data-progress-action="import" hidden>
+            </label>
+            <button type="button" class="quiz-btn quiz-btn-secondary" data-progress-action="clear">${t('progress.clear')}</button>
+        </div>
+        <div class="progress-message" role="status"></div>
+    `;
+
+    const message = container.querySelector('.progress-message');
+    container.querySelector('[data-progress-action="export"]').addEventListener('click', exportProgress);
+    container.querySelector('[data-progress-action="clear"]').addEventListener('click', () => {
+        if (window.confirm(t('progress.confirmClear'))) {
+            clearProgress();
+            renderProgressDashboard();
+        }
+    });
+    container.querySelector('[data-progress-action="import"]').addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+            const count = importProgress(await file.text());
+            renderProgressDashboard();
+            container.querySelector('.progress-message').textContent = t('progress.imported', { count });
+        } catch (error) {
+            message.textContent = `❌ ${error.message}`;
+        }
+    });
+}
+
+/**
+ * Refresh the counts of the current page and draw progress UI
+ */
+function initProgressTracking() {
+    const hasActivities = document.querySelector('.code-exercise, .quiz-container');
+    if (hasActivities && getPageKey() !== null) {
+        const data = loadProgress();
+        // Only pages already in the store: a visit alone is not progress
+        if (data.pages[getPageKey()]) {
+            currentPageRecord(data);
+            saveProgress(data);
+        }
+    }
+
+    updateNavigationMarks();
+    renderProgressDashboard();
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initProgressTracking);
+} else {
+    initProgressTracking();
+}
+
+// Export for use by exercises and quizzes
+window.CourseProgress = {
+    recordExerciseResult,
+    recordQuizResult,
+    loadProgress,
+    getPageStatus,
+    exportProgress,
+    importProgress,
+    clearProgress
+};
@@ -3,137 +3,493 @@
  * This allows real Python code execution in the browser
  */
 
-// Global Pyodide instance
-let pyodideInstance = null;
+// Pyodide runs inside a dedicated worker so that long-running code can be killed
+const PYODIDE_WORKER_URL = new URL('pyodide-worker.js', document.currentScript.src).href;
+
+// This script lives in assets/js/, two levels below the site root
+const SITE_ROOT_URL = new URL('../../', document.currentScript.src).href;
+
+// Offline cache for the runtime and visited pages (see pyodide-sw.js)
+const OFFLINE_SERVICE_WORKER_URL = new URL('pyodide-sw.js', SITE_ROOT_URL).href;
+
+// Used when the page carries no configuration (see `extra.pyodide` in mkdocs.yml)
+const DEFAULT_PYODIDE_CONFIG = {
+    version: '0.28.2',
+    index_urls: ['https://cdn.jsdelivr.net/pyodide/v{version}/full/'],
+    packages: ['micropip'],
+    wheel_dir: 'assets/wheels/',
+    offline_cache: true
+};
+
+// Default per-run time limit in seconds (overridable per exercise)
+const DEFAULT_TIME_LIMIT = 10;
+
+// Startup stages reported by the worker, shown in every exercise on the page
+const LOADING_STAGES = {
+    download: { step: 1, labelKey: 'runner.loading.download' },
+    init: { step: 2, labelKey: 'runner.loading.init' },
+    packages: { step: 3, labelKey: 'runner.loading.packages' }
+};
+
+// Start loading the runtime when an exercise comes this close to the viewport
+const WARM_UP_MARGIN = '300px';
+
+// Worker state
+let pyodideWorker = null;
+let pyodideReady = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+// Runs are serialized: the worker executes one program at a time
+let runQueue = Promise.resolve();
+let activeRun = null;
+// Exercise whose packages are being installed; Stop kills the download too
+let activeInstall = null;
+const cancelledExercises = new Set();
 
 /**
- * Initialize Pyodide runtime
+ * Read Pyodide settings rendered by the `code_input_form` macro
+ * Relative mirror URLs (self-hosted copies) and the wheel directory
+ * are resolved against the site root
+ * @returns {{indexUrls: string[], packages: string[], wheelUrl: string, offlineCache: boolean}}
  */
+function getPyodideConfig() {
+    let config = DEFAULT_PYODIDE_CONFIG;
+    const element = document.querySelector('[data-pyodide-config]');
+    if (element) {
+        try {
+            config = { ...DEFAULT_PYODIDE_CONFIG, ...JSON.parse(element.getAttribute('data-pyodide-config')) };
+        } catch (error) {
+            console.warn('⚠️ Invalid Pyodide config, using defaults:', error.message);
+        }
+    }
+    
+    return {
+        indexUrls: config.index_urls.map(url => {
+            const resolved = new URL(url.replace(/\{version\}/g, config.version), SITE_ROOT_URL).href;
+            return resolved.endsWith('/') ? resolved : `${resolved}/`;
+        }),
+        packages: config.packages,
+        wheelUrl: new URL(config.wheel_dir.endsWith('/') ? config.wheel_dir : `${config.wheel_dir}/`, SITE_ROOT_URL).href,
+        offlineCache: config.offline_cache !== false
+    };
+}
+
+/**
+ * Register the offline service worker and cache the current page with its assets
+ */
+function setupOfflineCache() {
+    if (!('serviceWorker' in navigator) || !getPyodideConfig().offlineCache) {
+        return;
+    }
+    
+    navigator.serviceWorker.register(OFFLINE_SERVICE_WORKER_URL, { scope: SITE_ROOT_URL })
+        .then(() => {
+            const pageResources = performance.getEntriesByType('resource').map(entry => entry.name);
+            precacheForOffline([window.location.href, ...pageResources]);
+        })
+        .catch(error => {
+            console.warn('⚠️ Offline cache unavailable:', error.message);
+        });
+}
+
+/**
+ * Ask the service worker to store URLs that were fetched before it took control
+ * @param {string[]} urls - Absolute URLs
+ */
+function precacheForOffline(urls) {
+    if (!('serviceWorker' in navigator) || urls.length === 0) {
+        return;
+    }
+    
+    navigator.serviceWorker.ready.then(registration => {
+        if (registration.active) {
+            registration.active.postMessage({ type: 'precache', urls });
+        }
+    });
+}
+
+/**
+ * Turn exercise package requirements into install specs for the worker
+ * Plain names come from the Pyodide distribution (or PyPI, via micropip);
+ * wheel file names are looked up in the site's wheel directory
+ * @param {string[]} packages - Requirement names or wheel file names
+ * @returns {Array<{name: string, spec: string}>}
+ */
+function resolvePackageSpecs(packages) {
+    const { wheelUrl } = getPyodideConfig();
+    return packages.map(requirement => requirement.endsWith('.whl')
+        ? { name: requirement.split('-')[0], spec: new URL(requirement, wheelUrl).href }
+        : { name: requirement, spec: requirement });
+}
+
+/**
+ * Create the Pyodide worker and wire up message handling
+ * @returns {Worker} - Worker instance
+ */
+function createPyodideWorker() {
+    const worker = new Worker(PYODIDE_WORKER_URL);
+    
+    worker.onmessage = (event) => {
+        const { id, type } = event.data;
+        const pending = pendingRequests.get(id);
+        if (!pending) return;
+        
+        // Intermediate updates keep the request open
+        if (type === 'progress') {
+            if (pending.onProgress) {
+                pending.onProgress(event.data);
+            }
+            return;
+        }
+        
+        pendingRequests.delete(id);
+        if (type === 'error') {
+            pending.reject(new Error(event.data.error));
+        } else {
+            pending.resolve(event.data);
+        }
+    };
+    
+    worker.onerror = (event) => {
+        event.preventDefault();
+        rejectPendingRequests(new Error(event.message || 'Pyodide worker crashed'));
+    };
+    
+    return worker;
+}
+
+/**
+ * Send a request to the worker
+ * @param {string} type - Request type ('init', 'install' or 'run')
+ * @param {object} payload - Request data
+ * @param {Function} onProgress - Called with each 'progress' message (optional)
+ * @returns {Promise<object>} - Worker response
+ */
+function postToWorker(type, payload = {}, onProgress = null) {
+    const id = ++nextRequestId;
+    return new Promise((resolve, reject) => {
+        pendingRequests.set(id, { resolve, reject, onProgress });
+        pyodideWorker.postMessage({ id, type, ...payload });
+    });
+}
+
+/**
+ * Reject every in-flight worker request
+ * @param {Error} error - Rejection reason
+ */
+function rejectPendingRequests(error) {
+    pendingRequests.forEach(pending => pending.reject(error));
+    pendingRequests.clear();
+}
+
+/**
+ * Terminate the worker, dropping the interpreter and all its state
+ */
+function terminatePyodideWorker() {
+    if (pyodideWorker) {
+        pyodideWorker.terminate();
+        pyodideWorker = null;
+    }
+    pyodideReady = null;
+    rejectPendingRequests(new Error('Pyodide worker terminated'));
+}
+
+/**
+ * Kill the interpreter and start loading a fresh one in the background
+ */
+function restartPyodide() {
+    terminatePyodideWorker();
+    initPyodide().catch(error => {
+        console.warn('⚠️ Pyodide restart failed:', error.message);
+    });
+}
+
 /**
  * Initialize Pyodide runtime with retry mechanism
  * @param {number} maxRetries - Maximum number of retry attempts (default: 2)
- * @returns {Promise} - Pyodide instance
+ * @returns {Promise<Worker>} - Worker hosting a ready interpreter
  */
-async function initPyodide(maxRetries = 2) {
-    if (pyodideInstance) {
-        return pyodideInstance;
+function initPyodide(maxRetries = 2) {
+    if (!pyodideReady) {
+        pyodideReady = loadPyodideWorker(maxRetries).catch(error => {
+            pyodideReady = null;
+            throw error;
+        });
     }
-    
+    return pyodideReady;
+}
+
+async function loadPyodideWorker(maxRetries) {
+    const config = getPyodideConfig();
     let lastError = null;
     
-    // Retry mechanism for network issues
+    // Retry mechanism for network issues: every attempt walks the mirror chain
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        try {
-            if (attempt > 0) {
-                // Wait before retry with exponential backoff
-                const delay = Math.min(2000 * Math.pow(2, attempt - 1), 10000);
-                console.log(`🔄 Retrying Pyodide initialization (attempt ${attempt + 1}/${maxRetries + 1}) after ${delay}ms...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-            }
-            
-            // Create timeout promise (30 seconds)
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => {
-                    reject(new Error("Pyodide initialization timeout: CDN unreachable after 30 seconds"));
-                }, 30000);
-            });
-            
-            // Load Pyodide from CDN with timeout protection
-            const loadPromise = loadPyodide({
-                indexURL: "https://cdn.jsdelivr.net/pyodide/v0.28.2/full/"
-            });
-            
-            pyodideInstance = await Promise.race([loadPromise, timeoutPromise]);
-            
-            // Install common packages
-            await pyodideInstance.loadPackage(["micropip"]);
-            
-            console.log("✅ Pyodide initialized successfully");
-            return pyodideInstance;
-        } catch (error) {
-            lastError = error;
-            console.warn(`⚠️ Pyodide initialization attempt ${attempt + 1} failed:`, error.message);
-            
-            // Reset instance on failure to allow retry
-            pyodideInstance = null;
-            
-            // If this was the last attempt, throw the error
-            if (attempt === maxRetries) {
-                console.error("❌ Failed to initialize Pyodide after all retry attempts:", lastError);
-                throw new Error(`Pyodide initialization failed: ${lastError.message}. Please check your internet connection and try again.`);
+        if (attempt > 0) {
+            // Wait before retry with exponential backoff
+            const delay = Math.min(2000 * Math.pow(2, attempt - 1), 10000);
+            console.log(`🔄 Retrying Pyodide initialization (attempt ${attempt + 1}/${maxRetries + 1}) after ${delay}ms...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        
+        for (const indexURL of config.indexUrls) {
+            try {
+                // Create timeout promise (30 seconds per mirror)
+                let timeoutId = null;
+                const timeoutPromise = new Promise((_, reject) => {
+                    timeoutId = setTimeout(() => {
+                        reject(new Error(`Pyodide initialization timeout: ${indexURL} unreachable after 30 seconds`));
+                    }, 30000);
+                });
+                
+                // Load Pyodide inside the worker with timeout protection
+                pyodideWorker = createPyodideWorker();
+                const worker = pyodideWorker;
+                let response;
+                try {
+                    response = await Promise.race([
+                        postToWorker('init', { indexURL, packages: config.packages },
+                            progress => showLoadingState(progress.stage)),
+                        timeoutPromise
+                    ]);
+                } finally {
+                    clearTimeout(timeoutId);
+                }
+                
+                // Keep the runtime files for offline use
+                precacheForOffline(response.resources || []);
+                
+                showLoadingState('ready');
+                console.log(`✅ Pyodide initialized successfully from ${indexURL}`);
+                return worker;
+            } catch (error) {
+                lastError = error;
+                console.warn(`⚠️ Pyodide initialization from ${indexURL} failed (attempt ${attempt + 1}):`, error.message);
+                
+                // Drop the half-initialized worker before trying the next mirror
+                if (pyodideWorker) {
+                    pyodideWorker.terminate();
+                    pyodideWorker = null;
+                }
+                rejectPendingRequests(error);
             }
         }
     }
     
-    // This should never be reached, but TypeScript/ESLint may require it
-    throw lastError || new Error("Pyodide initialization failed");
+    console.error("❌ Failed to initialize Pyodide after all retry attempts:", lastError);
+    showLoadingState('failed');
+    throw new Error(`Pyodide initialization failed: ${lastError ? lastError.message : 'no mirrors configured'}. Please check your internet connection and try again.`);
 }
 
 /**
- * Execute Python code and run tests
+ * Update the loading indicator of every exercise on the page
+ * The runtime is shared, so all exercises wait for the same startup
+ * @param {string} stage - 'download', 'init', 'packages', 'ready' or 'failed'
  */
-async function executePythonCode(exerciseId, userCode, testCode) {
-    try {
-        const pyodide = await initPyodide();
-        
-        // Setup StringIO redirection BEFORE executing any code
-        pyodide.runPython(`
-import sys
-from io import StringIO
-_original_stdout = sys.stdout
-sys.stdout = StringIO()
-        `);
-        
-        // Execute user code
-        pyodide.runPython(userCode);
+function showLoadingState(stage) {
+    document.querySelectorAll('.pyodide-loading').forEach(indicator => {
+        indicator.hidden = stage === 'ready';
+        indicator.classList.toggle('failed', stage === 'failed');
         
-        // Run tests if provided
-        let testResult = null;
-        if (testCode) {
-            testResult = pyodide.runPython(testCode);
+        const label = indicator.querySelector('.pyodide-loading-label');
+        const bar = indicator.querySelector('.pyodide-loading-bar');
+        if (stage === 'failed') {
+            label.textContent = t('runner.loading.failed');
+            bar.hidden = true;
+        } else if (LOADING_STAGES[stage]) {
+            label.textContent = t(LOADING_STAGES[stage].labelKey);
+            bar.hidden = false;
+            bar.value = LOADING_STAGES[stage].step;
         }
-        
-        // Capture output
-        const output = pyodide.runPython("sys.stdout.getvalue()");
-        
-        // Restore original stdout
-        pyodide.runPython("sys.stdout = _original_stdout");
-        
+    });
+}
+
+/**
+ * Start loading the runtime once an exercise scrolls near the viewport,
+ * so it is usually ready by the time the student presses the button
+ */
+function warmUpWhenVisible() {
+    const exercises = document.querySelectorAll('.code-exercise[data-pyodide-config]');
+    if (exercises.length === 0) {
+        return;
+    }
+    
+    const warmUp = () => initPyodide().catch(error => {
+        console.warn('⚠️ Pyodide warm-up failed:', error.message);
+    });
+    
+    if (!('IntersectionObserver' in window)) {
+        warmUp();
+        return;
+    }
+    
+    const observer = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            observer.disconnect();
+            warmUp();
+        }
+    }, { rootMargin: WARM_UP_MARGIN });
+    exercises.forEach(exercise => observer.observe(exercise));
+}
+
+/**
+ * Execute Python code and run tests in the worker
+ * Every run gets a fresh globals dictionary, so nothing defined by
+ * another exercise on the page is visible to the code or its tests
+ * @param {string} exerciseId - Exercise ID (used to stop the run)
+ * @param {string} userCode - Student code
+ * @param {Array} testCases - Test cases ({code, description})
+ * @param {object} options - {timeLimit} in seconds, {setupCode} shared setup module,
+ *                           {stdin} text fed to input(), {packages} requirements,
+ *                           {onInstallProgress} called while packages install
+ * @returns {Promise<object>} - Execution result, never rejects
+ */
+function executePythonCode(exerciseId, userCode, testCases, options = {}) {
+    cancelledExercises.delete(exerciseId);
+    const run = runQueue.then(() => runInWorker(exerciseId, userCode, testCases, options));
+    runQueue = run.catch(() => {});
+    return run;
+}
+
+async function runInWorker(exerciseId, userCode, testCases, options) {
+    const timeLimit = options.timeLimit || DEFAULT_TIME_LIMIT;
+    const setupCode = options.setupCode || '';
+    const stdin = options.stdin || '';
+    const packages = options.packages || [];
+    
+    // `unavailable`: the code was not run at all, callers should not grade it
+    try {
+        await initPyodide();
+    } catch (error) {
+        cancelledExercises.delete(exerciseId);
         return {
-            success: true,
-            output: output,
-            testResult: testResult
+            success: false,
+            unavailable: true,
+            error: error.message
         };
-    } catch (error) {
-        // Restore stdout even on error (finally-equivalent)
+    }
+    
+    // Stopped while waiting in the queue
+    if (cancelledExercises.delete(exerciseId)) {
+        return stoppedResult();
+    }
+    
+    // Installed before the timer starts: downloads do not count against the
+    // time limit. The worker skips packages it already has, so this is a
+    // no-op for every run after the first one in the session
+    if (packages.length > 0) {
+        activeInstall = { exerciseId };
         try {
-            if (pyodideInstance) {
-                pyodideInstance.runPython(`
-try:
-    sys.stdout = _original_stdout
-except:
-    pass
-                `);
+            await postToWorker('install', { packages: resolvePackageSpecs(packages) }, options.onInstallProgress);
+        } catch (error) {
+            // Stopped: the worker was terminated under the install
+            if (cancelledExercises.delete(exerciseId)) {
+                return stoppedResult();
             }
-        } catch (restoreError) {
-            // Ignore restore errors
+            return {
+                success: false,
+                unavailable: true,
+                error: t('runner.installFailed', { message: error.message })
+            };
+        } finally {
+            activeInstall = null;
         }
         
-        return {
-            success: false,
-            error: error.message,
-            traceback: error.toString()
+        if (cancelledExercises.delete(exerciseId)) {
+            return stoppedResult();
+        }
+    }
+    
+    return new Promise(resolve => {
+        const finish = (result) => {
+            if (activeRun !== run) return;
+            clearTimeout(run.timer);
+            activeRun = null;
+            resolve(result);
+        };
+        
+        const run = {
+            exerciseId,
+            finish,
+            timer: setTimeout(() => {
+                finish({
+                    success: false,
+                    timedOut: true,
+                    error: t('runner.timeout', { seconds: timeLimit })
+                });
+                restartPyodide();
+            }, timeLimit * 1000)
         };
+        activeRun = run;
+        
+        postToWorker('run', { userCode, tests: testCases, setupCode, stdin, userFile: t('runner.userFile') }).then(
+            response => finish(response.result),
+            error => finish({
+                success: false,
+                error: error.message,
+                traceback: error.toString()
+            })
+        );
+    });
+}
+
+function stoppedResult() {
+    return {
+        success: false,
+        stopped: true,
+        error: t('runner.stopped')
+    };
+}
+
+/**
+ * Stop a running exercise by killing the interpreter
+ * An exercise still installing its packages is stopped the same way
+ * @param {string} exerciseId - Exercise ID
+ */
+function stopExercise(exerciseId) {
+    if (activeRun && activeRun.exerciseId === exerciseId) {
+        activeRun.finish(stoppedResult());
+        restartPyodide();
+    } else if (activeInstall && activeInstall.exerciseId === exerciseId) {
+        cancelledExercises.add(exerciseId);
+        restartPyodide();
+    } else {
+        cancelledExercises.add(exerciseId);
     }
 }
 
+/**
+ * Show package installation progress in the exercise output panel
+ * @param {string} exerciseId - Exercise ID
+ * @param {{package: string, index: number, total: number}} progress - Worker progress message
+ */
+function showInstallProgress(exerciseId, progress) {
+    const output = document.getElementById(`output_${exerciseId}`);
+    if (!output) return;
+    
+    const status = document.createElement('div');
+    status.className = 'install-progress';
+    status.textContent = t('runner.installing', { name: progress.package, index: progress.index, total: progress.total });
+    
+    const outputContent = output.querySelector('.output-content');
+    outputContent.innerHTML = '';
+    outputContent.appendChild(status);
+    output.style.display = 'block';
+}
+
 /**
  * Enhanced exercise runner with Pyodide
+ * @param {string} exerciseId - Exercise ID
+ * @param {Array} testCases - Test cases ({code, description})
+ * @param {object} options - Exercise options ({timeLimit} in seconds, {setupCode}, {stdin},
+ *                           {packages})
  */
-async function runExerciseWithPyodide(exerciseId, testCases) {
+async function runExerciseWithPyodide(exerciseId, testCases, options = {}) {
     const textarea = document.getElementById(`code_input_${exerciseId}`);
     const output = document.getElementById(`output_${exerciseId}`);
     const button = document.getElementById(`run_button_${exerciseId}`);
+    const stopButton = document.getElementById(`stop_button_${exerciseId}`);
     
     if (!textarea || !output || !button) {
         console.error("Exercise elements not found");
@@ -141,99 +497,110 @@ async function runExerciseWithPyodide(exerciseId, testCases) {
     }
     
     // Show loading
-    button.innerHTML = '⏳ Выполняется...';
+    button.textContent = t('runner.running');
     button.disabled = true;
+    if (stopButton) {
+        stopButton.style.display = '';
+    }
     
     // Get code from CodeMirror editor if available, otherwise from textarea
     const userCode = typeof window.getCodeValue === 'function' 
         ? window.getCodeValue(`code_input_${exerciseId}`)
         : textarea.value;
     
+    // Markers from the previous run no longer apply
+    if (typeof window.clearCodeErrors === 'function') {
+        window.clearCodeErrors(`code_input_${exerciseId}`);
+    }
+    
     try {
-        // Build test code
-        let testCode = "";
-        let testsPassed = 0;
-        let totalTests = testCases ? testCases.length : 0;
-        let testDetails = [];
+        const totalTests = testCases ? testCases.length : 0;
         
-        if (testCases && testCases.length > 0) {
-            testCode = `
-import sys
-from io import StringIO
-sys.stdout = StringIO()
-
-# User code
-${userCode}
-
-# Tests
-test_results = []
-tests_passed = 0
-            `;
-            
-            testCases.forEach((testCase, index) => {
-                // Escape description to safely embed in Python string literal
-                const escapedDescription = JSON.stringify(testCase.description);
-                const descriptionVar = `description_var_${index}`;
-                testCode += `
-${descriptionVar} = ${escapedDescription}
-try:
-    ${testCase.code}
-    test_results.append(("✅", f"Test ${index + 1}: {${descriptionVar}}"))
-except AssertionError as e:
-    test_results.append(("❌", f"Test ${index + 1}: {${descriptionVar}} - {e}"))
-except Exception as e:
-    test_results.append(("❌", f"Test ${index + 1}: {${descriptionVar}} - Error: {e}"))
-                `;
-            });
-            
-            testCode += `
-for status, msg in test_results:
-    if status == "✅":
-        tests_passed += 1
-    print(f"{status} {msg}")
-            `;
-        }
-        
-        // Execute code
-        const result = await executePythonCode(exerciseId, userCode, testCode);
+        // Execute code; the worker returns one structured record per test
+        const result = await executePythonCode(exerciseId, userCode, testCases || [], {
+            ...options,
+            onInstallProgress: progress => showInstallProgress(exerciseId, progress)
+        });
         
         if (result.success) {
-            // Parse test results
-            if (result.testResult && testCases && testCases.length > 0) {
-                const lines = result.output.split('\n');
-                lines.forEach(line => {
-                    if (line.includes('✅')) testsPassed++;
-                    if (line.trim()) testDetails.push(line);
-                });
-            }
+            const tests = result.tests || [];
+            const testsPassed = tests.filter(test => test.status === 'passed').length;
             
             // CRITICAL: Only show success if all tests passed AND there are tests
             const allTestsPassed = totalTests > 0 && testsPassed === totalTests;
             
+            // Point at the first editor line a failing test ended up in
+            const failedInUserCode = tests.find(test => test.status !== 'passed' && test.line);
+            if (failedInUserCode) {
+                markErrorInEditor(exerciseId, failedInUserCode.line, failedInUserCode.message);
+            }
+            
+            recordProgress(exerciseId, testsPassed, totalTests);
+            
             displayResults(exerciseId, {
                 success: allTestsPassed,
                 tests_passed: testsPassed,
                 total_tests: totalTests,
-                test_details: testDetails.join('<br>'),
+                tests: tests,
                 output: result.output,
+                errors: result.errors,
                 // Add message if no tests were run
                 noTestsRun: totalTests === 0
             });
         } else {
+            if (result.errorLine) {
+                markErrorInEditor(exerciseId, result.errorLine, result.errorMessage);
+            }
+            
+            // A stopped run says nothing about the solution
+            if (!result.stopped) {
+                recordProgress(exerciseId, 0, totalTests);
+            }
+            
             displayResults(exerciseId, {
                 success: false,
                 error: result.error,
-                traceback: result.traceback
+                traceback: result.traceback,
+                output: result.output,
+                errors: result.errors
             });
         }
     } catch (error) {
         displayResults(exerciseId, {
             success: false,
-            error: `Execution error: ${error.message}`
+            error: t('runner.executionError', { message: error.message })
         });
     } finally {
-        button.innerHTML = '🚀 Запустить и проверить';
+        button.textContent = t('runner.run');
         button.disabled = false;
+        if (stopButton) {
+            stopButton.style.display = 'none';
+        }
+    }
+}
+
+/**
+ * Highlight the failing line in the exercise editor (if CodeMirror is active)
+ * @param {string} exerciseId - Exercise ID
+ * @param {number} line - 1-based line number in the student's code
+ * @param {string} message - Error message shown inline
+ */
+function markErrorInEditor(exerciseId, line, message) {
+    if (typeof window.markCodeError === 'function') {
+        window.markCodeError(`code_input_${exerciseId}`, line, message);
+    }
+}
+
+/**
+ * Save the outcome of a checked run to the course progress (see progress.js)
+ * Runs of exercises without tests are not recorded
+ * @param {string} exerciseId - Exercise ID
+ * @param {number} testsPassed - Number of passed tests
+ * @param {number} totalTests - Number of tests
+ */
+function recordProgress(exerciseId, testsPassed, totalTests) {
+    if (window.CourseProgress && totalTests > 0) {
+        window.CourseProgress.recordExerciseResult(exerciseId, { testsPassed, totalTests });
     }
 }
 
@@ -245,7 +612,7 @@ function runExerciseSimple(exerciseId) {
     const output = document.getElementById(`output_${exerciseId}`);
     const button = document.getElementById(`run_button_${exerciseId}`);
     
-    button.innerHTML = '⏳ Выполняется...';
+    button.textContent = t('runner.running');
     button.disabled = true;
     
     setTimeout(() => {
@@ -262,30 +629,47 @@ function runExerciseSimple(exerciseId) {
                     success: true,
                     tests_passed: 1,
                     total_tests: 1,
-                    test_details: '<p>✅ Синтаксис корректен</p>'
+                    test_details: `<p>${t('runner.simple.syntaxOk')}</p>`
                 };
             } else {
                 result = {
                     success: false,
-                    error: 'Функция должна содержать def и return',
-                    hints: ['Добавьте ключевое слово def', 'Добавьте оператор return']
+                    error: t('runner.simple.needDefReturn'),
+                    hints: [t('runner.simple.hintDef'), t('runner.simple.hintReturn')]
                 };
             }
         } catch (error) {
             result = {
                 success: false,
-                error: 'Ошибка в коде: ' + error.message
+                error: t('runner.simple.codeError', { message: error.message })
             };
         }
         
         displayResults(exerciseId, result);
-        button.innerHTML = '🚀 Запустить и проверить';
+        button.textContent = t('runner.run');
         button.disabled = false;
     }, 1000);
 }
 
+// Offline support does not depend on exercises being present on the page
+if (document.readyState === 'complete') {
+    setupOfflineCache();
+} else {
+    window.addEventListener('load', setupOfflineCache);
+}
+
+// Exercises are rendered into the page, so they exist once the DOM is parsed
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', warmUpWhenVisible);
+} else {
+    warmUpWhenVisible();
+}
+
 // Export for use in HTML
 window.runExerciseWithPyodide = runExerciseWithPyodide;
 window.runExerciseSimple = runExerciseSimple;
+window.stopExercise = stopExercise;
 window.initPyodide = initPyodide;
+// Code questions in quiz.js are graded through the same runner
+window.executePythonCode = executePythonCode;
 
@@ -0,0 +1,311 @@
+/**
+ * Web Worker hosting the Pyodide runtime for interactive exercises
+ * Python runs off the main thread, so a runaway student program
+ * (e.g. `while True:`) can be terminated without freezing the lesson page
+ *
+ * Protocol (main thread -> worker):
+ * - { id, type: 'init', indexURL, packages }      load the interpreter
+ * - { id, type: 'install', packages }             install exercise requirements
+ *                                                 ({name, spec} pairs) via micropip
+ * - { id, type: 'run', userCode, tests, setupCode, stdin, userFile }
+ *                                                 execute code and tests; `userFile`
+ *                                                 names the student's code in tracebacks
+ *
+ * Protocol (worker -> main thread):
+ * - { id, type: 'ready', resources }              interpreter is loaded;
+ *                                                 `resources` lists fetched URLs
+ * - { id, type: 'progress', stage }               init reached a startup stage
+ *                                                 ('download', 'init', 'packages')
+ * - { id, type: 'progress', package, index, total }
+ *                                                 a package started installing
+ * - { id, type: 'installed' }                     requirements are available
+ * - { id, type: 'result', result }                execution result
+ * - { id, type: 'error', error }                  request failed
+ */
+
+// Pyodide instance owned by this worker
+let pyodide = null;
+
+// Install specs already available in this interpreter; a restarted
+// worker starts empty and installs them again on demand
+const installedPackages = new Set();
+
+// Python side of the runner.
+// _new_namespace builds a fresh globals dict for each run. The optional setup
+// code is executed as the `exercise_setup` module: it can be imported
+// explicitly, and its public names are also preloaded into the run namespace.
+// _run_tests executes every test case in that namespace and returns one
+// record per test, so results never depend on parsing printed output.
+// _run_exercise ties them together and reports user code failures.
+// _begin_capture/_end_capture swap in StringIO streams for stdin, stdout
+// and stderr (warnings are printed to stderr, so they are captured too).
+// User code is compiled on its own as "<exercise>", so traceback line numbers
+// already match the editor; _error_line finds the failing editor line and
+// _format_error relabels those frames for the student
+const RUNNER_HELPERS = `
+import linecache
+import sys
+import time
+import traceback
+import types
+from io import StringIO
+
+class _EchoStdin(StringIO):
+    # Echo consumed lines so that input() transcripts read like a console
+    def readline(self, size=-1):
+        line = super().readline(size)
+        sys.stdout.write(line if line.endswith("\\n") or not line else line + "\\n")
+        return line
+
+_saved_streams = None
+
+def _begin_capture(stdin_text):
+    global _saved_streams
+    _saved_streams = (sys.stdin, sys.stdout, sys.stderr)
+    sys.stdin = _EchoStdin(stdin_text)
+    sys.stdout = StringIO()
+    sys.stderr = StringIO()
+
+def _end_capture():
+    global _saved_streams
+    captured = [sys.stdout.getvalue(), sys.stderr.getvalue()]
+    sys.stdin, sys.stdout, sys.stderr = _saved_streams
+    _saved_streams = None
+    return captured
+
+def _new_namespace(setup_code):
+    sys.modules.pop("exercise_setup", None)
+    namespace = {"__name__": "__main__", "__builtins__": __builtins__}
+    if setup_code:
+        module = types.ModuleType("exercise_setup")
+        exec(compile(setup_code, "<setup>", "exec"), module.__dict__)
+        sys.modules["exercise_setup"] = module
+        namespace.update(
+            {name: value for name, value in vars(module).items() if not name.startswith("_")}
+        )
+    return namespace
+
+USER_FILENAME = "<exercise>"
+
+def _error_line(error):
+    # SyntaxError points at the code being compiled, not at a frame
+    if isinstance(error, SyntaxError) and error.filename == USER_FILENAME:
+        return error.lineno
+    line = None
+    for frame in traceback.extract_tb(error.__traceback__):
+        if frame.filename == USER_FILENAME:
+            line = frame.lineno
+    return line
+
+def _format_error(error, tb, file_label):
+    text = "".join(traceback.format_exception(type(error), error, tb))
+    return text.replace(f'File "{USER_FILENAME}", line', f'File "{file_label}", line')
+
+def _run_tests(tests, namespace):
+    results = []
+    for index, test in enumerate(tests):
+        captured = StringIO()
+        previous_stdout = sys.stdout
+        sys.stdout = captured
+        started = time.perf_counter()
+        line = None
+        try:
+            exec(compile(test["code"], f"<test {index + 1}>", "exec"), namespace)
+            status, message = "passed", ""
+        except AssertionError as error:
+            status, message, line = "failed", str(error), _error_line(error)
+        except Exception as error:
+            status, message, line = "error", f"{type(error).__name__}: {error}", _error_line(error)
+        finally:
+            sys.stdout = previous_stdout
+        results.append({
+            "name": test.get("description") or f"Test {index + 1}",
+            "status": status,
+            "message": message,
+            "duration": round((time.perf_counter() - started) * 1000, 2),
+            "output": captured.getvalue(),
+            "line": line,
+        })
+    return results
+
+def _run_exercise(user_code, tests, setup_code, file_label):
+    # Exceptions are formatted here: left to Pyodide, the traceback would be
+    # printed into the captured sys.stderr instead of the error message
+    # Let tracebacks quote the student's source lines
+    linecache.cache[USER_FILENAME] = (
+        len(user_code), None, user_code.splitlines(True), USER_FILENAME
+    )
+    try:
+        namespace = _new_namespace(setup_code)
+        exec(compile(user_code, USER_FILENAME, "exec"), namespace)
+    except BaseException as error:
+        return {
+            # Skip this helper's own frame
+            "error": _format_error(error, error.__traceback__.tb_next, file_label),
+            "message": traceback.format_exception_only(type(error), error)[-1].strip(),
+            "line": _error_line(error),
+            "tests": [],
+        }
+    return {"error": None, "tests": _run_tests(tests, namespace)}
+`;
+
+/**
+ * Load Pyodide runtime inside the worker
+ * The main thread walks the mirror chain, one worker per mirror
+ * @param {number} id - Request ID, echoed in progress messages
+ * @param {string} indexURL - Pyodide distribution base URL (with trailing slash)
+ * @param {string[]} packages - Packages to preload from the distribution
+ */
+async function initInterpreter(id, indexURL, packages) {
+    if (pyodide) {
+        return;
+    }
+
+    self.postMessage({ id, type: 'progress', stage: 'download' });
+    importScripts(`${indexURL}pyodide.js`);
+    self.postMessage({ id, type: 'progress', stage: 'init' });
+    pyodide = await loadPyodide({ indexURL });
+
+    // Install common packages
+    if (packages && packages.length > 0) {
+        self.postMessage({ id, type: 'progress', stage: 'packages' });
+        await pyodide.loadPackage(packages);
+    }
+
+    pyodide.runPython(RUNNER_HELPERS);
+}
+
+/**
+ * Install exercise requirements that this interpreter does not have yet
+ * micropip takes packages from the Pyodide distribution first and
+ * accepts wheel URLs (the site's wheel directory) as well
+ * @param {number} id - Request ID, echoed in progress messages
+ * @param {Array<{name: string, spec: string}>} packages - Requirements
+ */
+async function installPackages(id, packages) {
+    const missing = packages.filter(({ spec }) => !installedPackages.has(spec));
+    if (missing.length === 0) {
+        return;
+    }
+    
+    let micropip = null;
+    try {
+        await pyodide.loadPackage('micropip');
+        micropip = pyodide.pyimport('micropip');
+    } catch (error) {
+        throw new Error(`micropip: ${errorReason(error)}`);
+    }
+    
+    try {
+        for (const [index, { name, spec }] of missing.entries()) {
+            self.postMessage({ id, type: 'progress', package: name, index: index + 1, total: missing.length });
+            try {
+                await micropip.install(spec);
+            } catch (error) {
+                throw new Error(`${name}: ${errorReason(error)}`);
+            }
+            installedPackages.add(spec);
+        }
+    } finally {
+        micropip.destroy();
+    }
+}
+
+/**
+ * Reduce a Python traceback to its exception line,
+ * e.g. "ValueError: Can't find a pure Python 3 wheel for 'x'"
+ * @param {Error} error - PythonError raised through the FFI
+ * @returns {string}
+ */
+function errorReason(error) {
+    const lines = error.message.trim().split('\n');
+    return lines.find(line => /^\w+(Error|Exception):/.test(line)) || lines.pop();
+}
+
+/**
+ * Execute user code and tests in an isolated namespace
+ * stdout and stderr are captured separately; `stdin` feeds input() calls
+ * @param {string} userCode - Student code
+ * @param {Array} tests - Test cases ({code, description})
+ * @param {string} setupCode - Shared setup module for the exercise (optional)
+ * @param {string} stdin - Text available on sys.stdin (optional)
+ * @param {string} userFile - Name of the student's code in tracebacks (optional)
+ * @returns {object} - Execution result with per-test records in `tests`
+ */
+function runCode(userCode, tests, setupCode, stdin, userFile) {
+    let testsProxy = null;
+    let outcomeProxy = null;
+    let result = null;
+
+    // Setup stream redirection BEFORE executing any code
+    pyodide.globals.get("_begin_capture")(stdin || "");
+
+    try {
+        testsProxy = pyodide.toPy(tests || []);
+        outcomeProxy = pyodide.globals.get("_run_exercise")(userCode, testsProxy, setupCode || "", userFile || "<exercise>");
+        // Plain objects: Python proxies cannot cross the worker boundary
+        const outcome = outcomeProxy.toJs({ dict_converter: Object.fromEntries });
+
+        result = outcome.error
+            ? {
+                success: false,
+                error: outcome.error,
+                traceback: outcome.error,
+                errorLine: outcome.line,
+                errorMessage: outcome.message
+            }
+            : { success: true, tests: outcome.tests };
+    } catch (error) {
+        result = {
+            success: false,
+            error: error.message,
+            traceback: error.toString()
+        };
+    } finally {
+        [testsProxy, outcomeProxy].forEach(proxy => {
+            if (proxy) {
+                proxy.destroy();
+            }
+        });
+    }
+
+    // Output printed before a failure is still useful to the student
+    return { ...result, ...finishCapture() };
+}
+
+/**
+ * Restore the original streams and collect what the run printed
+ * @returns {{output: string, errors: string}} - Captured stdout and stderr
+ */
+function finishCapture() {
+    const captured = pyodide.globals.get("_end_capture")();
+    try {
+        const [output, errors] = captured.toJs();
+        return { output, errors };
+    } finally {
+        captured.destroy();
+    }
+}
+
+self.onmessage = async (event) => {
+    const { id, type } = event.data;
+
+    try {
+        if (type === 'init') {
+            await initInterpreter(id, event.data.indexURL, event.data.packages);
+            // Reported back so the page can cache the runtime for offline use
+            const resources = performance.getEntriesByType('resource').map(entry => entry.name);
+            self.postMessage({ id, type: 'ready', resources });
+        } else if (type === 'install') {
+            await installPackages(id, event.data.packages);
+            self.postMessage({ id, type: 'installed' });
+        } else if (type === 'run') {
+            const { userCode, tests, setupCode, stdin, userFile } = event.data;
+            self.postMessage({ id, type: 'result', result: runCode(userCode, tests, setupCode, stdin, userFile) });
+        } else {
+            throw new Error(`Unknown request type: ${type}`);
+        }
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error.message });
+    }
+};
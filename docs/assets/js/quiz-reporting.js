@@ -0,0 +1,534 @@
+/**
+ * 📤 Quiz Result Reporting
+ * Sends finished quiz attempts (TDDQuiz.getResultReport) to learning systems:
+ * - xAPI: statements POSTed to an LRS (`extra.lms.xapi` in mkdocs.yml or the
+ *   xAPI launch parameters endpoint/auth/actor/registration in the page URL)
+ * - SCORM 1.2 / 2004: the runtime API of the LMS frame the site is embedded in
+ * Other reporters plug in with QuizReporting.register({ name, report(result) })
+ */
+
+const XAPI_VERSION = '1.0.3';
+const XAPI_VERBS = {
+    answered: 'http://adlnet.gov/expapi/verbs/answered',
+    completed: 'http://adlnet.gov/expapi/verbs/completed',
+    passed: 'http://adlnet.gov/expapi/verbs/passed',
+    failed: 'http://adlnet.gov/expapi/verbs/failed'
+};
+const XAPI_ACTIVITY_TYPES = {
+    assessment: 'http://adlnet.gov/expapi/activities/assessment',
+    interaction: 'http://adlnet.gov/expapi/activities/cmi.interaction'
+};
+const XAPI_LAUNCH_KEY = 'xapi-launch';
+const XAPI_QUEUE_KEY = 'xapi-queue';
+const XAPI_QUEUE_LIMIT = 500;
+// Browsers reject keepalive requests over 64 KiB, so statements go out in
+// smaller requests; a single larger statement is sent without keepalive
+const XAPI_REQUEST_BYTES = 60 * 1024;
+const XAPI_ANONYMOUS_KEY = 'xapi-anonymous-id';
+
+// How many parent frames to search for the SCORM API (the usual LMS convention)
+const SCORM_SEARCH_DEPTH = 10;
+// Start of the LMS session, shared by the pages of the course
+const SCORM_SESSION_KEY = 'scorm-session-start';
+
+// Storage can be blocked in LMS frames, where even reading window.localStorage throws
+function readStoredJson(storageName, key, fallback) {
+    try {
+        const raw = window[storageName].getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function writeStoredJson(storageName, key, value) {
+    try {
+        window[storageName].setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.warn('⚠️ Report data could not be saved:', e.message);
+    }
+}
+
+function createUuid() {
+    if (window.crypto && window.crypto.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+        const random = Math.random() * 16 | 0;
+        return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+    });
+}
+
+/**
+ * ISO 8601 duration (xAPI, SCORM 2004)
+ * @param {number} ms - Duration in milliseconds
+ */
+function formatIsoDuration(ms) {
+    return `PT${Math.round(ms / 10) / 100}S`;
+}
+
+/**
+ * SCORM 1.2 CMITimespan: HHHH:MM:SS
+ * @param {number} ms - Duration in milliseconds
+ */
+function formatScorm12Duration(ms) {
+    const seconds = Math.round(ms / 1000);
+    const pad = (value, length) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(seconds / 3600), 4)}:${pad(Math.floor(seconds / 60) % 60, 2)}:${pad(seconds % 60, 2)}`;
+}
+
+/**
+ * 🔗 Configuration
+ */
+
+/**
+ * xAPI launch parameters are only in the URL of the page the LMS opened,
+ * so they are kept in sessionStorage for the rest of the course
+ */
+function readXapiLaunch() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('endpoint')) {
+        const launch = {};
+        ['endpoint', 'auth', 'registration'].forEach(key => {
+            if (params.has(key)) launch[key] = params.get(key);
+        });
+        if (params.has('actor')) {
+            try {
+                launch.actor = JSON.parse(params.get('actor'));
+            } catch (e) {
+                console.warn('⚠️ Invalid actor parameter in the page URL:', e.message);
+            }
+        }
+        writeStoredJson('sessionStorage', XAPI_LAUNCH_KEY, launch);
+        return launch;
+    }
+    return readStoredJson('sessionStorage', XAPI_LAUNCH_KEY, {});
+}
+
+/**
+ * Site settings: `extra.lms` rendered into the page by docs/main.html
+ * @returns {object} - {xapi: {endpoint, auth, actor, registration}, scorm: boolean}
+ */
+function getReportingConfig() {
+    const element = document.getElementById('lms-config');
+    let config = {};
+    if (element) {
+        try {
+            config = JSON.parse(element.textContent) || {};
+        } catch (e) {
+            console.warn('⚠️ Invalid LMS settings (extra.lms):', e.message);
+        }
+    }
+
+    return {
+        xapi: { ...(config.xapi || {}), ...readXapiLaunch() },
+        scorm: config.scorm !== false
+    };
+}
+
+/**
+ * 📨 xAPI
+ */
+
+function getAnonymousActor() {
+    let id = readStoredJson('localStorage', XAPI_ANONYMOUS_KEY, null);
+    if (!id) {
+        id = createUuid();
+        writeStoredJson('localStorage', XAPI_ANONYMOUS_KEY, id);
+    }
+    return { objectType: 'Agent', account: { homePage: window.location.origin, name: id } };
+}
+
+/**
+ * Statements for one attempt: `answered` per question and `passed`/`failed`
+ * plus `completed` for the quiz
+ * @param {object} result - TDDQuiz.getResultReport()
+ * @param {object} options - {actor, registration}
+ * @returns {object[]}
+ */
+function buildXapiStatements(result, { actor, registration } = {}) {
+    const language = document.documentElement.lang || 'ru';
+    const quizActivity = {
+        objectType: 'Activity',
+        id: `${result.pageUrl}#${result.quizId}`,
+        definition: {
+            type: XAPI_ACTIVITY_TYPES.assessment,
+            name: { [language]: result.title }
+        }
+    };
+    const context = registration ? { registration } : {};
+    const statement = (verb, object, resultData, extraContext = {}) => ({
+        id: createUuid(),
+        actor: actor || getAnonymousActor(),
+        verb: { id: XAPI_VERBS[verb], display: { 'en-US': verb } },
+        object,
+        result: resultData,
+        context: { ...context, ...extraContext },
+        timestamp: result.finishedAt
+    });
+
+    const answers = result.questions.map(question => statement('answered', {
+        objectType: 'Activity',
+        id: `${quizActivity.id}/${question.id}`,
+        definition: {
+            type: XAPI_ACTIVITY_TYPES.interaction,
+            interactionType: 'other',
+            description: { [language]: question.question }
+        }
+    }, {
+        response: question.response,
+        success: question.correct,
+        score: { raw: question.earned, max: question.points },
+        duration: formatIsoDuration(question.duration)
+    }, {
+        contextActivities: { parent: [quizActivity] }
+    }));
+
+    const summary = {
+        score: {
+            scaled: result.maxScore > 0 ? Math.max(0, result.score) / result.maxScore : 0,
+            raw: result.score,
+            min: 0,
+            max: result.maxScore
+        },
+        success: result.passed,
+        completion: true,
+        duration: formatIsoDuration(result.duration)
+    };
+
+    return [
+        ...answers,
+        statement(result.passed ? 'passed' : 'failed', quizActivity, summary),
+        statement('completed', quizActivity, { completion: true, duration: summary.duration })
+    ];
+}
+
+function getByteLength(text) {
+    return new TextEncoder().encode(text).length;
+}
+
+/**
+ * Split statements into request bodies of at most XAPI_REQUEST_BYTES
+ * @param {Array<object>} statements - xAPI statements
+ * @returns {Array<Array<object>>} - Statements of each request, in order
+ */
+function chunkXapiStatements(statements) {
+    const chunks = [];
+    let chunk = [];
+    // Brackets of the JSON array
+    let size = 2;
+    statements.forEach(statement => {
+        // Plus the separating comma
+        const statementSize = getByteLength(JSON.stringify(statement)) + 1;
+        if (chunk.length > 0 && size + statementSize > XAPI_REQUEST_BYTES) {
+            chunks.push(chunk);
+            chunk = [];
+            size = 2;
+        }
+        chunk.push(statement);
+        size += statementSize;
+    });
+    if (chunk.length > 0) {
+        chunks.push(chunk);
+    }
+    return chunks;
+}
+
+/**
+ * Whether a failed request may succeed later: network errors, server errors
+ * and rate limiting. Other 4xx answers mean the LRS will never accept the body
+ * @param {Response|null} response - null when the request did not reach the LRS
+ */
+function isRetriableXapiFailure(response) {
+    return !response || response.status === 429 || response.status >= 500;
+}
+
+/**
+ * POST statements to the LRS. Statements that could not be delivered are
+ * queued in localStorage and sent again with the next report; statements the
+ * LRS rejected as invalid are dropped, or they would block the queue for good
+ * @returns {Promise<boolean>} - Whether the LRS accepted all of them
+ */
+async function sendXapiStatements(config, statements) {
+    const queued = readStoredJson('localStorage', XAPI_QUEUE_KEY, []);
+    const batch = [...queued, ...statements];
+    const endpoint = config.endpoint.endsWith('/') ? config.endpoint : `${config.endpoint}/`;
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Experience-API-Version': XAPI_VERSION
+    };
+    if (config.auth) {
+        headers.Authorization = config.auth;
+    }
+
+    // Sent one request at a time: the 64 KiB keepalive limit covers all
+    // keepalive requests in flight
+    let sent = 0;
+    let accepted = true;
+    for (const chunk of chunkXapiStatements(batch)) {
+        const body = JSON.stringify(chunk);
+        let response = null;
+        try {
+            response = await fetch(`${endpoint}statements`, {
+                method: 'POST',
+                headers,
+                body,
+                keepalive: getByteLength(body) <= XAPI_REQUEST_BYTES
+            });
+        } catch (error) {
+            console.warn('⚠️ Quiz results could not be sent to the LRS:', error);
+        }
+
+        if (response && !response.ok && !isRetriableXapiFailure(response)) {
+            console.warn(`⚠️ LRS rejected ${chunk.length} statement(s) with ${response.status}, dropping them`);
+            accepted = false;
+        } else if (!response || !response.ok) {
+            if (response) {
+                console.warn(`⚠️ Quiz results could not be sent to the LRS: ${response.status}`);
+            }
+            writeStoredJson('localStorage', XAPI_QUEUE_KEY, batch.slice(sent).slice(-XAPI_QUEUE_LIMIT));
+            return false;
+        }
+        sent += chunk.length;
+    }
+
+    writeStoredJson('localStorage', XAPI_QUEUE_KEY, []);
+    return accepted;
+}
+
+function createXapiReporter(config) {
+    return {
+        name: 'xapi',
+        report(result) {
+            return sendXapiStatements(config, buildXapiStatements(result, config));
+        }
+    };
+}
+
+/**
+ * 🎓 SCORM
+ */
+
+function findScormApiFrom(start) {
+    let win = start;
+    for (let depth = 0; win && depth < SCORM_SEARCH_DEPTH; depth++) {
+        try {
+            if (win.API_1484_11) return { api: win.API_1484_11, version: '2004' };
+            if (win.API) return { api: win.API, version: '1.2' };
+        } catch (e) {
+            // A cross-origin frame: its API is out of reach
+            return null;
+        }
+        if (win.parent === win) break;
+        win = win.parent;
+    }
+    return null;
+}
+
+/**
+ * Runtime API of the LMS: in a parent frame or in the window that opened the course
+ * @returns {{api: object, version: string}|null}
+ */
+function findScormApi() {
+    return findScormApiFrom(window) || (window.opener ? findScormApiFrom(window.opener) : null);
+}
+
+/**
+ * Best result of every quiz reported to the LMS, kept in cmi.suspend_data so
+ * that the status of the course covers all of its pages
+ * @returns {object} - "<page path>#<quiz id>" -> [score, maxScore, passed (0/1)]
+ */
+function readScormQuizResults(get) {
+    try {
+        const data = JSON.parse(get('cmi.suspend_data') || '{}');
+        return data && typeof data.quizzes === 'object' && data.quizzes ? data.quizzes : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Report to SCORM: one interaction per question, then score and status of
+ * the course. The whole site is one SCO, so the session spans every page:
+ * the first report opens it, later pages find it already open, and it is
+ * closed by QuizReporting.finish() (e.g. from an "exit course" link) or by
+ * the LMS when the learner leaves the course. Results are committed after
+ * every quiz, so nothing is lost when the LMS closes the session itself
+ */
+function createScormReporter(api, version) {
+    const is2004 = version === '2004';
+    const call = (method2004, method12, ...args) => String(api[is2004 ? method2004 : method12](...args));
+    const get = (key) => call('GetValue', 'LMSGetValue', key);
+    const set = (key, value) => call('SetValue', 'LMSSetValue', key, String(value));
+    // "Already initialized": SCORM 2004 error 103, SCORM 1.2 error 101
+    const alreadyInitializedError = is2004 ? '103' : '101';
+    let initialized = false;
+
+    const initialize = () => {
+        if (!initialized) {
+            initialized = call('Initialize', 'LMSInitialize', '') === 'true' ||
+                call('GetLastError', 'LMSGetLastError') === alreadyInitializedError;
+            if (initialized && !readStoredJson('sessionStorage', SCORM_SESSION_KEY, null)) {
+                writeStoredJson('sessionStorage', SCORM_SESSION_KEY, Date.now());
+            }
+        }
+        return initialized;
+    };
+
+    return {
+        name: `scorm-${version}`,
+        report(result) {
+            if (!initialize()) {
+                console.warn('⚠️ SCORM: the LMS session could not be started');
+                return false;
+            }
+
+            let index = parseInt(get('cmi.interactions._count'), 10) || 0;
+            result.questions.forEach(question => {
+                const prefix = `cmi.interactions.${index++}.`;
+                set(`${prefix}id`, `${result.quizId}-${question.id}`);
+                if (is2004) {
+                    set(`${prefix}type`, 'other');
+                    set(`${prefix}description`, question.question.slice(0, 250));
+                    set(`${prefix}learner_response`, question.response.slice(0, 4000));
+                    set(`${prefix}result`, question.correct ? 'correct' : 'incorrect');
+                    set(`${prefix}latency`, formatIsoDuration(question.duration));
+                } else {
+                    set(`${prefix}type`, 'performance');
+                    set(`${prefix}student_response`, question.response.slice(0, 255));
+                    set(`${prefix}result`, question.correct ? 'correct' : 'wrong');
+                    set(`${prefix}latency`, formatScorm12Duration(question.duration));
+                }
+            });
+
+            // Keep the better attempt of each quiz, like the progress page does
+            const quizzes = readScormQuizResults(get);
+            const key = `${new URL(result.pageUrl).pathname}#${result.quizId}`;
+            const ratio = ([quizScore, maxScore]) => maxScore > 0 ? quizScore / maxScore : 0;
+            const attempt = [Math.max(0, result.score), result.maxScore, result.passed ? 1 : 0];
+            if (!quizzes[key] || ratio(attempt) >= ratio(quizzes[key])) {
+                quizzes[key] = attempt;
+            }
+            set('cmi.suspend_data', JSON.stringify({ quizzes }));
+
+            const totals = Object.values(quizzes).reduce((sum, [quizScore, maxScore]) => ({
+                score: sum.score + quizScore,
+                maxScore: sum.maxScore + maxScore
+            }), { score: 0, maxScore: 0 });
+            const scaled = totals.maxScore > 0 ? totals.score / totals.maxScore : 0;
+            // The course is passed once every quiz reported so far is passed
+            const status = Object.values(quizzes).every(([, , passed]) => passed) ? 'passed' : 'failed';
+            const sessionTime = Date.now() - readStoredJson('sessionStorage', SCORM_SESSION_KEY, Date.now());
+
+            if (is2004) {
+                set('cmi.score.min', 0);
+                set('cmi.score.max', totals.maxScore);
+                set('cmi.score.raw', totals.score);
+                set('cmi.score.scaled', scaled.toFixed(4));
+                set('cmi.success_status', status);
+                set('cmi.completion_status', 'completed');
+                set('cmi.session_time', formatIsoDuration(sessionTime));
+            } else {
+                // SCORM 1.2 scores are 0..100
+                set('cmi.core.score.min', 0);
+                set('cmi.core.score.max', 100);
+                set('cmi.core.score.raw', Math.round(scaled * 100));
+                set('cmi.core.lesson_status', status);
+                set('cmi.core.session_time', formatScorm12Duration(sessionTime));
+            }
+
+            return call('Commit', 'LMSCommit', '') === 'true';
+        },
+
+        // End the LMS session: no further reports are possible until the course is relaunched
+        finish() {
+            if (!initialized) return false;
+            initialized = false;
+            writeStoredJson('sessionStorage', SCORM_SESSION_KEY, null);
+            return call('Terminate', 'LMSFinish', '') === 'true';
+        }
+    };
+}
+
+/**
+ * 🧩 Reporter Registry
+ */
+const QuizReporting = {
+    reporters: [],
+
+    /**
+     * @param {{name: string, report: function(object): *}} reporter
+     */
+    register(reporter) {
+        this.reporters = this.reporters.filter(existing => existing.name !== reporter.name);
+        this.reporters.push(reporter);
+    },
+
+    unregister(name) {
+        this.reporters = this.reporters.filter(reporter => reporter.name !== name);
+    },
+
+    /**
+     * Hand a finished attempt to every reporter; one failing reporter does not stop the rest
+     * @param {object} result - TDDQuiz.getResultReport()
+     * @returns {Promise<Array>} - What each reporter returned
+     */
+    report(result) {
+        return Promise.all(this.reporters.map(async reporter => {
+            try {
+                return await reporter.report(result);
+            } catch (error) {
+                console.warn(`⚠️ Reporter "${reporter.name}" failed:`, error);
+                return false;
+            }
+        }));
+    },
+
+    /**
+     * End the sessions of reporters that keep one open (SCORM), e.g. when the
+     * learner leaves the course through its own "exit" link
+     * @returns {Array} - What each reporter's finish() returned
+     */
+    finish() {
+        return this.reporters
+            .filter(reporter => typeof reporter.finish === 'function')
+            .map(reporter => reporter.finish());
+    },
+
+    /**
+     * Register the reporters enabled by the site settings and the LMS environment
+     */
+    init(config = getReportingConfig()) {
+        if (config.xapi && config.xapi.endpoint) {
+            this.register(createXapiReporter(config.xapi));
+        }
+        if (config.scorm) {
+            const scorm = findScormApi();
+            if (scorm) {
+                this.register(createScormReporter(scorm.api, scorm.version));
+            }
+        }
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.QuizReporting = QuizReporting;
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => QuizReporting.init());
+    } else {
+        QuizReporting.init();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QuizReporting,
+        buildXapiStatements,
+        chunkXapiStatements,
+        createXapiReporter,
+        createScormReporter,
+        formatIsoDuration,
+        formatScorm12Duration
+    };
+}
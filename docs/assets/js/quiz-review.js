@@ -0,0 +1,301 @@
+/**
+ * 🔁 Spaced-Repetition Review
+ * Questions answered wrongly in any quiz of the course become review cards,
+ * scheduled with SM-2 and practiced as a daily quiz on the review page
+ * (#quiz-review-dashboard in review.md) through the regular TDDQuiz
+ *
+ * Stored shape (key REVIEW_STORAGE_KEY):
+ * {
+ *   version: 1,
+ *   cards: {
+ *     "<page path>#<quiz id>/<question id>": {
+ *       question,                        // question data copied from the quiz
+ *       source: { pageUrl, quizId, quizTitle },
+ *       easiness, repetitions, interval, // SM-2 state, interval in days
+ *       due, lapses, addedAt, reviewedAt // timestamps in ms, due at the start of a day
+ *     }
+ *   }
+ * }
+ */
+
+const REVIEW_STORAGE_KEY = 'quiz-review';
+const REVIEW_VERSION = 1;
+const REVIEW_QUIZ_ID = 'daily-review';
+// Questions in one daily review, the most overdue first
+const REVIEW_DAILY_LIMIT = 20;
+const REVIEW_DAY_MS = 24 * 60 * 60 * 1000;
+
+// SM-2 answer quality (0-5) for quiz outcomes: 3 and up counts as remembered
+const REVIEW_QUALITY = { correct: 4, partial: 3, wrong: 1 };
+const REVIEW_MIN_EASINESS = 1.3;
+
+// This script lives in assets/js/, two levels below the site root
+const REVIEW_PAGE_URL = new URL('../../review/', document.currentScript.src);
+
+function startOfDay(time) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+function emptyReviewData() {
+    return { version: REVIEW_VERSION, cards: {} };
+}
+
+function loadReviewData() {
+    try {
+        const data = JSON.parse(localStorage.getItem(REVIEW_STORAGE_KEY));
+        return data && data.cards ? data : emptyReviewData();
+    } catch (e) {
+        // Storage disabled or corrupted entry
+        return emptyReviewData();
+    }
+}
+
+function saveReviewData(data) {
+    try {
+        localStorage.setItem(REVIEW_STORAGE_KEY, JSON.stringify(data));
+    } catch (e) {
+        console.warn('⚠️ Review schedule could not be saved:', e.message);
+    }
+}
+
+/**
+ * SM-2 step: the next state of a card after an answer of the given quality
+ * @param {object} card - Review card
+ * @param {number} quality - 0 (forgotten) .. 5 (perfect)
+ * @param {number} now - Current time in ms
+ * @returns {object} - Updated copy of the card
+ */
+function scheduleReview(card, quality, now = Date.now()) {
+    const easiness = Math.max(REVIEW_MIN_EASINESS,
+        card.easiness + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+
+    let { repetitions, interval, lapses } = card;
+    if (quality < 3) {
+        // Forgotten: learn again from tomorrow
+        repetitions = 0;
+        interval = 1;
+        lapses++;
+    } else {
+        repetitions++;
+        interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * easiness);
+    }
+
+    return {
+        ...card,
+        easiness: Math.round(easiness * 100) / 100,
+        repetitions,
+        interval,
+        lapses,
+        due: startOfDay(now) + interval * REVIEW_DAY_MS,
+        reviewedAt: now
+    };
+}
+
+function getAnswerQuality(answer) {
+    if (answer.correct) return REVIEW_QUALITY.correct;
+    return answer.earned > 0 ? REVIEW_QUALITY.partial : REVIEW_QUALITY.wrong;
+}
+
+/**
+ * Cards due today, the most overdue first
+ * @returns {Array<{key: string, card: object}>}
+ */
+function getDueCards(data = loadReviewData(), now = Date.now()) {
+    const today = startOfDay(now);
+    return Object.entries(data.cards)
+        .filter(([, card]) => card.due <= today)
+        .sort(([, a], [, b]) => a.due - b.due)
+        .map(([key, card]) => ({ key, card }));
+}
+
+/**
+ * 📥 Collecting Missed Questions
+ */
+
+/**
+ * Add the missed questions of a finished quiz to the review. A new card is
+ * due right away; a card that is missed again is rescheduled as forgotten
+ * @param {object} quiz - Finished TDDQuiz
+ * @param {object} report - quiz:finish detail (TDDQuiz.getResultReport)
+ * @returns {number} - Number of missed questions
+ */
+function collectMissedQuestions(quiz, report, now = Date.now()) {
+    const missed = report.questions.filter(question => !question.correct);
+    if (missed.length === 0) return 0;
+
+    const data = loadReviewData();
+    const prefix = `${new URL(report.pageUrl).pathname}#${report.quizId}`;
+    missed.forEach(question => {
+        const key = `${prefix}/${question.id}`;
+        const existing = data.cards[key];
+        const base = existing || {
+            easiness: 2.5,
+            repetitions: 0,
+            interval: 0,
+            lapses: 0,
+            due: startOfDay(now),
+            addedAt: now,
+            reviewedAt: null
+        };
+        data.cards[key] = {
+            ...(existing ? scheduleReview(base, REVIEW_QUALITY.wrong, now) : base),
+            // The lesson may have been edited since the card was added
+            question: quiz.quizData.questions[question.sourceIndex],
+            source: { pageUrl: report.pageUrl, quizId: report.quizId, quizTitle: report.title }
+        };
+    });
+
+    saveReviewData(data);
+    return missed.length;
+}
+
+function showCollectedNotice(container, count) {
+    const content = container.querySelector('.quiz-content');
+    if (!content) return;
+
+    const notice = document.createElement('p');
+    notice.className = 'quiz-review-notice';
+    notice.innerHTML = `${t('review.collected', { count })} ` +
+        `<a href="${REVIEW_PAGE_URL.href}">${t('review.open')}</a>`;
+    content.prepend(notice);
+}
+
+function handleQuizFinish(event) {
+    const quiz = window.QuizRegistry && window.QuizRegistry.get(event.detail.quizId);
+    // The review quiz itself and other untracked quizzes are not collected
+    if (!quiz || quiz.options.trackResults === false) return;
+
+    const count = collectMissedQuestions(quiz, event.detail);
+    if (count > 0) {
+        showCollectedNotice(quiz.container, count);
+    }
+}
+
+/**
+ * 📅 Daily Review
+ */
+
+function formatReviewDate(time) {
+    return new Date(time).toLocaleDateString(I18n.getLocale(), { day: 'numeric', month: 'long' });
+}
+
+/**
+ * Grade a review answer. Only due cards move: repeating the finished
+ * review (the restart button) does not push them further
+ */
+function recordReviewAnswer(key, answer, now = Date.now()) {
+    const data = loadReviewData();
+    const card = data.cards[key];
+    if (!card || !answer.graded || card.due > startOfDay(now)) return;
+
+    data.cards[key] = scheduleReview(card, getAnswerQuality(answer), now);
+    saveReviewData(data);
+}
+
+/**
+ * Render the review page: schedule summary and the quiz of today's cards
+ */
+function renderReviewDashboard() {
+    const container = document.getElementById('quiz-review-dashboard');
+    if (!container) return;
+
+    const data = loadReviewData();
+    const cards = Object.values(data.cards);
+    const due = getDueCards(data).slice(0, REVIEW_DAILY_LIMIT);
+    const upcoming = cards.map(card => card.due).filter(time => time > startOfDay(Date.now()));
+    const learned = cards.filter(card => card.interval >= 21).length;
+
+    let body;
+    if (cards.length === 0) {
+        body = `<p class="progress-empty">${t('review.empty')}</p>`;
+    } else if (due.length === 0) {
+        body = `<p class="progress-empty">${t('review.done', { date: formatReviewDate(Math.min(...upcoming)) })}</p>`;
+    } else {
+        body = `<div class="quiz-container" id="${REVIEW_QUIZ_ID}"></div>`;
+    }
+
+    container.innerHTML = `
+        <div class="progress-summary">
+            <div class="progress-summary-item">
+                <span class="progress-summary-value">${getDueCards(data).length}</span>
+                <span class="progress-summary-label">${t('review.stats.due')}</span>
+            </div>
+            <div class="progress-summary-item">
+                <span class="progress-summary-value">${cards.length}</span>
+                <span class="progress-summary-label">${t('review.stats.total')}</span>
+            </div>
+            <div class="progress-summary-item">
+                <span class="progress-summary-value">${learned}</span>
+                <span class="progress-summary-label">${t('review.stats.learned')}</span>
+            </div>
+        </div>
+        ${body}
+        ${cards.length > 0 ? `
+            <div class="progress-actions">
+                <button type="button" class="quiz-btn quiz-btn-secondary" data-review-action="clear">${t('review.clear')}</button>
+            </div>
+        ` : ''}
+    `;
+
+    const clearButton = container.querySelector('[data-review-action="clear"]');
+    if (clearButton) {
+        clearButton.addEventListener('click', () => {
+            if (window.confirm(t('review.confirmClear'))) {
+                clearReview();
+                renderReviewDashboard();
+            }
+        });
+    }
+
+    if (due.length > 0) {
+        startDailyReview(due);
+    }
+}
+
+function startDailyReview(due) {
+    const quizData = {
+        title: t('review.quizTitle'),
+        description: t('review.quizDescription', { count: due.length }),
+        icon: '🔁',
+        // Per-question limits still apply; the lesson's quiz-wide limit does not
+        questions: due.map(({ card }) => card.question)
+    };
+
+    new TDDQuiz(REVIEW_QUIZ_ID, quizData, {
+        trackResults: false,
+        // The review quiz is neither shuffled nor drawn, so questionIndex matches `due`
+        onAnswer: answer => recordReviewAnswer(due[answer.questionIndex].key, answer)
+    });
+}
+
+/**
+ * Forget a card or the whole review
+ * @param {string} [key] - Card key; all cards without it
+ */
+function clearReview(key) {
+    const data = loadReviewData();
+    if (key) {
+        delete data.cards[key];
+    } else {
+        data.cards = {};
+    }
+    saveReviewData(data);
+}
+
+document.addEventListener('quiz:finish', handleQuizFinish);
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', renderReviewDashboard);
+} else {
+    renderReviewDashboard();
+}
+
+// Export for lesson scripts and the browser console
+window.QuizReview = {
+    loadReviewData,
+    getDueCards,
+    scheduleReview,
+    clearReview
+};
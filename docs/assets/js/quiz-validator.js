@@ -0,0 +1,228 @@
+/**
+ * 🩺 Quiz Data Validation
+ * Checks quiz JSON before TDDQuiz renders it. Shared by the browser
+ * (window.QuizValidator, used by quiz.js) and the build check
+ * scripts/validate-quizzes.js (module.exports)
+ */
+
+const QUIZ_QUESTION_TYPES = ['single', 'multiple', 'output', 'fill', 'order', 'matching', 'code'];
+const QUIZ_SCORING_STRATEGIES = ['all-or-nothing', 'partial', 'penalty'];
+const QUIZ_GRADE_STATUSES = ['success', 'warning', 'error'];
+// Question ids end up in xAPI IRIs and SCORM interaction ids, which allow no spaces
+const QUIZ_QUESTION_ID = /^[A-Za-z0-9_.:-]+$/;
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function validateOptions(question, errors) {
+    if (!Array.isArray(question.options) || question.options.length < 2) {
+        errors.push('нужен список `options` хотя бы из двух вариантов');
+        return;
+    }
+
+    question.options.forEach((option, index) => {
+        if (!option || !isNonEmptyString(option.text)) {
+            errors.push(`у варианта ${index + 1} нет текста (\`text\`)`);
+        }
+    });
+
+    const correctCount = question.options.filter(option => option && option.correct === true).length;
+    if (question.type === 'multiple') {
+        if (correctCount === 0) {
+            errors.push('нет ни одного правильного варианта (`"correct": true`)');
+        }
+    } else if (correctCount !== 1) {
+        errors.push(`в вопросе с одним ответом должен быть ровно один правильный вариант, найдено: ${correctCount}`);
+    }
+
+    if (question.scoring !== undefined) {
+        if (question.type !== 'multiple') {
+            errors.push('`scoring` действует только для вопросов типа `multiple`');
+        } else if (!QUIZ_SCORING_STRATEGIES.includes(question.scoring)) {
+            errors.push(`неизвестная стратегия \`scoring\`: "${question.scoring}" (допустимо: ${QUIZ_SCORING_STRATEGIES.join(', ')})`);
+        }
+    }
+}
+
+function validateTextAnswers(question, errors) {
+    const answers = [].concat(question.answers || []);
+    if (question.answer !== undefined) {
+        answers.push(question.answer);
+    }
+
+    if (question.pattern !== undefined) {
+        try {
+            new RegExp(question.pattern);
+        } catch (e) {
+            errors.push(`некорректное регулярное выражение \`pattern\`: ${e.message}`);
+        }
+    }
+
+    if (answers.length === 0 && !(question.type === 'fill' && question.pattern)) {
+        errors.push(question.type === 'fill'
+            ? 'нужны `answers` или `pattern`'
+            : 'нужен ожидаемый вывод `answer` или `answers`');
+    }
+
+    if (question.type === 'output' && !isNonEmptyString(question.code)) {
+        errors.push('нужен фрагмент кода `code`, вывод которого угадывает студент');
+    }
+}
+
+function validateQuestionBody(question, errors) {
+    switch (question.type) {
+        case 'output':
+        case 'fill':
+            validateTextAnswers(question, errors);
+            break;
+        case 'order':
+            if (!Array.isArray(question.items) || question.items.length < 2 || !question.items.every(isNonEmptyString)) {
+                errors.push('нужен список `items` хотя бы из двух строк (в правильном порядке)');
+            }
+            break;
+        case 'matching': {
+            const pairs = question.pairs;
+            if (!Array.isArray(pairs) || pairs.length < 2 ||
+                !pairs.every(pair => pair && isNonEmptyString(pair.left) && isNonEmptyString(pair.right))) {
+                errors.push('нужен список `pairs` хотя бы из двух пар `{"left": ..., "right": ...}`');
+            } else if (new Set(pairs.map(pair => pair.right)).size !== pairs.length) {
+                errors.push('правые части `pairs` повторяются: сопоставление неоднозначно');
+            }
+            break;
+        }
+        case 'code':
+            if (!Array.isArray(question.tests) || question.tests.length === 0) {
+                errors.push('нужен список тестов `tests`');
+            } else {
+                question.tests.forEach((test, index) => {
+                    if (!test || !isNonEmptyString(test.code)) {
+                        errors.push(`у теста ${index + 1} нет кода (\`code\`)`);
+                    }
+                });
+            }
+            break;
+        default:
+            validateOptions(question, errors);
+    }
+}
+
+function validateQuestion(question) {
+    if (!question || typeof question !== 'object') {
+        return ['вопрос должен быть объектом'];
+    }
+
+    const errors = [];
+    if (!isNonEmptyString(question.question)) {
+        errors.push('нет текста вопроса (`question`)');
+    }
+    if (question.points !== undefined && !isPositiveNumber(question.points)) {
+        errors.push('`points` должно быть положительным числом');
+    }
+    if (question.answerTimeLimit !== undefined && !isPositiveNumber(question.answerTimeLimit)) {
+        errors.push('`answerTimeLimit` должно быть положительным числом секунд');
+    }
+    if (question.id !== undefined && !(typeof question.id === 'string' && QUIZ_QUESTION_ID.test(question.id))) {
+        errors.push('`id` может содержать только латинские буквы, цифры, `_`, `-`, `.` и `:`');
+    }
+
+    const type = question.type === undefined ? 'single' : question.type;
+    if (!QUIZ_QUESTION_TYPES.includes(type)) {
+        errors.push(`неизвестный тип "${type}" (допустимо: ${QUIZ_QUESTION_TYPES.join(', ')})`);
+        return errors;
+    }
+
+    validateQuestionBody({ ...question, type }, errors);
+    return errors;
+}
+
+function validateGrades(grades, errors) {
+    if (!Array.isArray(grades) || grades.length === 0) {
+        errors.push('`grades` должно быть непустым списком оценок');
+        return;
+    }
+
+    grades.forEach((grade, index) => {
+        const prefix = `Оценка ${index + 1}: `;
+        if (!grade || typeof grade.min !== 'number' || grade.min < 0 || grade.min > 100) {
+            errors.push(prefix + '`min` должно быть числом от 0 до 100');
+        }
+        if (!grade || !isNonEmptyString(grade.label)) {
+            errors.push(prefix + 'нет подписи `label`');
+        }
+        if (grade && grade.status !== undefined && !QUIZ_GRADE_STATUSES.includes(grade.status)) {
+            errors.push(prefix + `\`status\` должен быть одним из: ${QUIZ_GRADE_STATUSES.join(', ')}`);
+        }
+    });
+
+    if (!grades.some(grade => grade && grade.min === 0)) {
+        errors.push('`grades`: нужна оценка с `"min": 0`, иначе низкий результат останется без оценки');
+    }
+}
+
+/**
+ * Validate quiz data
+ * @param {*} quizData - Parsed quiz JSON
+ * @returns {string[]} - Author-facing error messages, empty if the quiz is valid
+ */
+function validateQuizData(quizData) {
+    if (!quizData || typeof quizData !== 'object' || Array.isArray(quizData)) {
+        return ['Данные теста должны быть JSON-объектом'];
+    }
+
+    const errors = [];
+    if (!isNonEmptyString(quizData.title)) {
+        errors.push('Нет заголовка теста (`title`)');
+    }
+    if (quizData.description !== undefined && typeof quizData.description !== 'string') {
+        errors.push('`description` должно быть строкой');
+    }
+    if (quizData.timeLimit !== undefined && !isPositiveNumber(quizData.timeLimit)) {
+        errors.push('`timeLimit` должно быть положительным числом секунд');
+    }
+    if (quizData.negativeMarking !== undefined &&
+        !(typeof quizData.negativeMarking === 'number' && quizData.negativeMarking >= 0 && quizData.negativeMarking <= 1)) {
+        errors.push('`negativeMarking` должно быть числом от 0 до 1');
+    }
+    if (quizData.grades !== undefined) {
+        validateGrades(quizData.grades, errors);
+    }
+
+    if (!Array.isArray(quizData.questions) || quizData.questions.length === 0) {
+        errors.push('Нет вопросов (`questions` должен быть непустым списком)');
+        return errors;
+    }
+
+    const perAttempt = quizData.questionsPerAttempt;
+    if (perAttempt !== undefined &&
+        !(Number.isInteger(perAttempt) && perAttempt > 0 && perAttempt <= quizData.questions.length)) {
+        errors.push(`\`questionsPerAttempt\` должно быть целым числом от 1 до ${quizData.questions.length}`);
+    }
+
+    const seenIds = new Set();
+    quizData.questions.forEach((question, index) => {
+        validateQuestion(question).forEach(error => {
+            errors.push(`Вопрос ${index + 1}: ${error}`);
+        });
+        if (question && question.id !== undefined) {
+            if (seenIds.has(question.id)) {
+                errors.push(`Вопрос ${index + 1}: \`id\` "${question.id}" уже используется в этом тесте`);
+            }
+            seenIds.add(question.id);
+        }
+    });
+
+    return errors;
+}
+
+if (typeof window !== 'undefined') {
+    window.QuizValidator = { validateQuizData };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateQuizData, QUIZ_QUESTION_TYPES };
+}
@@ -1,82 +1,1213 @@
 /**
  * 🎯 TDD Learning Quiz System
  * Advanced interactive quiz functionality with beautiful animations
+ *
+ * Question types (`type` field):
+ * - single / multiple: choose options ({text, correct})
+ * - output: predict what `code` prints; compared with `answer` after normalization
+ * - fill: free text matched against `answers` variants or a `pattern` regex
+ * - order: put `items` (listed in the correct order) back into sequence
+ * - matching: pair each `left` with its `right` from `pairs`
+ * - code: write Python in an editor (`starterCode`), graded by hidden `tests`
+ *   through the Pyodide runner (pyodide-exercise.js)
+ *
+ * UI strings come from the message catalog: t() from i18n.js
  */
 
+/**
+ * ✅ Answer Checking
+ * One place that decides whether an answer is correct for every question type
+ */
+
+function getCorrectOptionIndices(question) {
+    return question.options
+        .map((opt, index) => opt.correct ? index : null)
+        .filter(index => index !== null);
+}
+
+// Expected answers of output/fill questions: `answer` and/or `answers`
+function getAcceptedAnswers(question) {
+    const accepted = [].concat(question.answers || []);
+    if (question.answer !== undefined) {
+        accepted.unshift(question.answer);
+    }
+    return accepted.map(String);
+}
+
+/**
+ * Normalize program output: unify line endings, drop trailing spaces
+ * and leading/trailing blank lines
+ */
+function normalizeOutput(text) {
+    return String(text)
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        .map(line => line.replace(/\s+$/, ''))
+        .join('\n')
+        .replace(/^\n+|\n+$/g, '');
+}
+
+/**
+ * Normalize a fill-in answer: trim and collapse whitespace, ignore case unless required
+ */
+function normalizeFillAnswer(text, caseSensitive) {
+    const collapsed = String(text).trim().replace(/\s+/g, ' ');
+    return caseSensitive ? collapsed : collapsed.toLowerCase();
+}
+
+/**
+ * Check a user answer against a question
+ * @param {object} question - Question data
+ * @param {Array|string} answer - Option indices (single/multiple), text (output/fill),
+ *                                item indices in chosen order (order) or the chosen
+ *                                `right` index for each pair (matching) or the
+ *                                graded run {code, testsPassed, totalTests} (code)
+ * @returns {boolean}
+ */
+function isAnswerCorrect(question, answer) {
+    if (answer === undefined || answer === null) {
+        return false;
+    }
+    
+    switch (question.type) {
+        case 'multiple': {
+            // All correct answers must be selected and no incorrect ones
+            const correctAnswers = getCorrectOptionIndices(question);
+            return correctAnswers.every(index => answer.includes(index)) &&
+                   answer.every(index => correctAnswers.includes(index));
+        }
+        case 'output': {
+            const given = normalizeOutput(answer);
+            return getAcceptedAnswers(question).some(expected => normalizeOutput(expected) === given);
+        }
+        case 'fill': {
+            const caseSensitive = Boolean(question.caseSensitive);
+            const given = normalizeFillAnswer(answer, caseSensitive);
+            if (question.pattern && new RegExp(question.pattern, caseSensitive ? '' : 'i').test(String(answer).trim())) {
+                return true;
+            }
+            return getAcceptedAnswers(question).some(expected => normalizeFillAnswer(expected, caseSensitive) === given);
+        }
+        case 'order':
+            return answer.length === question.items.length && answer.every((item, position) => item === position);
+        case 'matching':
+            return answer.length === question.pairs.length && answer.every((right, left) => right === left);
+        case 'code':
+            return answer.totalTests > 0 && answer.testsPassed === answer.totalTests;
+        default:
+            // For single choice, the selected answer must be correct
+            return answer.length === 1 && getCorrectOptionIndices(question).includes(answer[0]);
+    }
+}
+
+/**
+ * 🧮 Scoring
+ * `scoring` of a multiple-answer question:
+ * - all-or-nothing (default): full points only for the exact set of correct options
+ * - partial: a share of the points for every correct option picked
+ * - penalty: like partial, but every wrong pick cancels one correct pick
+ * The quiz-level `negativeMarking` (a share of the points, e.g. 0.25) is taken
+ * off for an answered question that earned nothing
+ */
+
+function roundPoints(points) {
+    return Math.round(points * 100) / 100;
+}
+
+/**
+ * Points earned for an answer
+ * @param {object} question - Question data
+ * @param {*} answer - Answer in the shape isAnswerCorrect expects
+ * @param {number} negativeMarking - Share of the points lost for a wrong answer
+ * @returns {number} - Points, negative with negative marking
+ */
+function scoreAnswer(question, answer, negativeMarking = 0) {
+    const points = question.points || 1;
+    if (answer === undefined || answer === null) {
+        return 0;
+    }
+    if (isAnswerCorrect(question, answer)) {
+        return points;
+    }
+    
+    let earned = 0;
+    if (question.type === 'multiple' && (question.scoring === 'partial' || question.scoring === 'penalty')) {
+        const correctAnswers = getCorrectOptionIndices(question);
+        const hits = answer.filter(index => correctAnswers.includes(index)).length;
+        const misses = answer.length - hits;
+        const share = question.scoring === 'penalty' ? hits - misses : hits;
+        earned = Math.max(0, roundPoints(points * share / correctAnswers.length));
+    }
+    
+    return earned > 0 ? earned : -roundPoints(points * negativeMarking);
+}
+
+// Grade bands of the final screen; a quiz can override them with `grades`.
+// The default bands name message keys instead of labels
+const DEFAULT_QUIZ_GRADES = [
+    { min: 90, labelKey: 'quiz.grade.excellent', icon: '🏆', status: 'success' },
+    { min: 75, labelKey: 'quiz.grade.good', icon: '🥈', status: 'success' },
+    { min: 60, labelKey: 'quiz.grade.satisfactory', icon: '🥉', status: 'warning' },
+    { min: 0, labelKey: 'quiz.grade.review', icon: '📚', status: 'error' }
+];
+
+/**
+ * Grade band for a percentage
+ * @param {number} percentage - Final percentage
+ * @param {Array} grades - Bands {min, label, icon, status}
+ * @returns {{min: number, label: string, icon: string, status: string}}
+ */
+function getQuizGrade(percentage, grades = DEFAULT_QUIZ_GRADES) {
+    const bands = grades.slice().sort((a, b) => b.min - a.min);
+    return bands.find(band => percentage >= band.min) || bands[bands.length - 1];
+}
+
+/**
+ * Percentage from which the quiz counts as passed: the lowest band that is not an 'error'
+ */
+function getQuizPassPercentage(grades = DEFAULT_QUIZ_GRADES) {
+    const passing = grades.filter(band => band.status !== 'error').map(band => band.min);
+    return passing.length > 0 ? Math.min(...passing) : 100;
+}
+
+/**
+ * Human-readable answer for result reports (xAPI response, SCORM learner response)
+ * @param {object} question - Question data
+ * @param {*} answer - Answer in the shape isAnswerCorrect expects
+ * @returns {string} - Empty if the question was not answered
+ */
+function describeQuizAnswer(question, answer) {
+    if (answer === undefined || answer === null) {
+        return '';
+    }
+    
+    switch (question.type) {
+        case 'output':
+        case 'fill':
+            return String(answer);
+        case 'order':
+            return answer.map(index => question.items[index]).join(' → ');
+        case 'matching':
+            return answer.map((right, left) => `${question.pairs[left].left} = ${question.pairs[right].right}`).join('; ');
+        case 'code':
+            return t('quiz.answer.tests', { passed: answer.testsPassed, total: answer.totalTests });
+        default:
+            return answer.map(index => question.options[index].text).join('; ');
+    }
+}
+
+/**
+ * 💾 Quiz Storage
+ * In-progress state and attempt history are kept in localStorage per quiz
+ */
+
+const QUIZ_STATE_PREFIX = 'quiz-state:';
+const QUIZ_HISTORY_PREFIX = 'quiz-history:';
+
+// Attempts kept in the history of each quiz
+const QUIZ_HISTORY_LIMIT = 10;
+
+function readQuizStorage(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (e) {
+        // Storage disabled or corrupted entry
+        return null;
+    }
+}
+
+function writeQuizStorage(key, value) {
+    try {
+        if (value === null) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, JSON.stringify(value));
+        }
+    } catch (e) {
+        // Quota exceeded or storage disabled - the quiz still works in memory
+    }
+}
+
+/**
+ * Fingerprint of the questions: saved state is dropped when the quiz changes
+ * @param {Array} questions - Quiz questions
+ * @returns {string} - FNV-1a hash in hex (text-hash.js)
+ */
+function hashQuizQuestions(questions) {
+    return hashText(JSON.stringify(questions));
+}
+
+/**
+ * 🎲 Seeded Shuffling
+ * Every attempt stores its seed, so resuming it reproduces the same
+ * question selection and the same order of questions and options
+ */
+
+function createQuizSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * mulberry32 PRNG
+ * @param {number} seed - 32-bit seed
+ * @returns {function(): number} - Generator of numbers in [0, 1)
+ */
+function mulberry32(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+}
+
+// Fisher-Yates shuffle of a copy
+function shuffleWith(items, random) {
+    const shuffled = items.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * ⏱ Time Limits
+ * `timeLimit` of the quiz and `answerTimeLimit` of a question, both in seconds
+ */
+
+// Countdowns turn red from this many seconds left
+const QUIZ_TIMER_WARNING = 10;
+
+function formatQuizTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function escapeQuizHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 📝 Quiz Text Rendering
+ * Quiz text is escaped first and only then gets a small Markdown subset:
+ * `code`, **bold**, *italic*, [links](https://...) and fenced code blocks.
+ * There is no underscore emphasis, so identifiers like __init__ stay intact
+ */
+
+// Fence languages highlighted with the CodeMirror modes loaded on the page
+const QUIZ_CODE_LANGUAGES = { python: 'python', py: 'python' };
+
+// Same theme as the exercise editors (code-editor.js)
+const QUIZ_CODE_THEME = 'monokai';
+
+/**
+ * Highlight code with CodeMirror's runmode addon, plain escaped text without it
+ * @param {string} code - Source code
+ * @param {string} language - Fence language, e.g. "python"
+ * @returns {string} - HTML for the inside of <pre><code>
+ */
+function highlightQuizCode(code, language = 'python') {
+    const mode = QUIZ_CODE_LANGUAGES[String(language).toLowerCase()];
+    if (!mode || typeof CodeMirror === 'undefined' || typeof CodeMirror.runMode !== 'function') {
+        return escapeQuizHtml(code);
+    }
+    
+    let html = '';
+    CodeMirror.runMode(code, mode, (text, style) => {
+        const escaped = escapeQuizHtml(text);
+        html += style
+            ? `<span class="${style.split(' ').map(name => `cm-${name}`).join(' ')}">${escaped}</span>`
+            : escaped;
+    });
+    return html;
+}
+
+function renderQuizCodeBlock(code, language) {
+    return `<pre class="quiz-code cm-s-${QUIZ_CODE_THEME}"><code>${highlightQuizCode(code, language)}</code></pre>`;
+}
+
+/**
+ * Render one line of quiz text (options, order items, titles)
+ * @param {string} text - Quiz text
+ * @returns {string} - Safe HTML
+ */
+function renderQuizInline(text) {
+    const codeSpans = [];
+    const html = escapeQuizHtml(text)
+        // Code spans are set aside so that nothing inside them is treated as markup
+        .replace(/`([^`]+)`/g, (_, code) => {
+            codeSpans.push(`<code>${code}</code>`);
+            return `\u0000${codeSpans.length - 1}\u0000`;
+        })
+        // Not inside words and expressions: `2*3*4` and `a**b**c` keep their asterisks
+        .replace(/(^|[^\p{L}\p{N}_*])\*\*(\S(?:[^*]*\S)?)\*\*(?![\p{L}\p{N}_*])/gu, '$1<strong>$2</strong>')
+        .replace(/(^|[^\p{L}\p{N}_*])\*(\S(?:[^*]*\S)?)\*(?![\p{L}\p{N}_*])/gu, '$1<em>$2</em>')
+        // Only web and relative links: "javascript:" and the like stay plain text
+        .replace(/\[([^\]]+)\]\(((?:https?:\/\/|\.{0,2}\/|#)[^\s)]*)\)/g, '<a href="$2">$1</a>');
+    
+    return html.replace(/\u0000(\d+)\u0000/g, (_, index) => codeSpans[index]);
+}
+
+/**
+ * Render multi-line quiz text (questions, explanations): paragraphs and fenced code
+ * @param {string} text - Quiz text
+ * @returns {string} - Safe HTML
+ */
+function renderQuizMarkdown(text) {
+    const codeBlocks = [];
+    const source = String(text).replace(/```([\w-]*)[^\n]*\n([\s\S]*?)\n?```/g, (_, language, code) => {
+        codeBlocks.push(renderQuizCodeBlock(code, language));
+        return `\n\n\u0001${codeBlocks.length - 1}\u0001\n\n`;
+    });
+    
+    const blocks = source.split(/\n{2,}/).map(block => block.trim()).filter(Boolean);
+    const renderBlock = block => {
+        const codeBlock = block.match(/^\u0001(\d+)\u0001$/);
+        return codeBlock ? codeBlocks[codeBlock[1]] : renderQuizInline(block).replace(/\n/g, '<br>');
+    };
+    
+    // A single paragraph stays inline, so short questions render as before
+    if (blocks.length === 1) {
+        return renderBlock(blocks[0]);
+    }
+    return blocks.map(block => block.startsWith('\u0001') ? renderBlock(block) : `<p>${renderBlock(block)}</p>`).join('');
+}
+
+/**
+ * ♿ Accessibility
+ */
+
+function prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' &&
+        window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// Keys typed into these elements belong to them, not to quiz shortcuts
+function isTextEntryTarget(element) {
+    return Boolean(element.closest('textarea, select, input[type="text"], .CodeMirror'));
+}
+
+// First line of a question for compact lists (review summary)
+function summarizeQuizText(text) {
+    return renderQuizInline(String(text).split('\n')[0]);
+}
+
+/**
+ * 📣 Quiz Events
+ * Dispatched on the quiz container as bubbling CustomEvents whose `detail`
+ * always has `quizId`; the same detail goes to the matching callback of the
+ * constructor options
+ */
+const QUIZ_EVENT_CALLBACKS = {
+    'quiz:start': 'onStart',
+    'quiz:answer': 'onAnswer',
+    'quiz:finish': 'onFinish',
+    'quiz:reset': 'onReset'
+};
+
+/**
+ * 🗂 Quiz Registry
+ * Every quiz on the page, by container id, so lessons with several quizzes
+ * can start, reset and summarize them independently
+ */
+const QuizRegistry = {
+    quizzes: new Map(),
+    
+    register(quiz) {
+        const previous = this.quizzes.get(quiz.container.id);
+        // Re-initializing a container must not leave the old instance listening
+        if (previous && previous !== quiz) {
+            previous.destroy();
+        }
+        this.quizzes.set(quiz.container.id, quiz);
+    },
+    
+    get(id) {
+        return this.quizzes.get(id) || null;
+    },
+    
+    getAll() {
+        return Array.from(this.quizzes.values());
+    },
+    
+    /**
+     * Bring a quiz into view and put focus on its current question
+     */
+    start(id) {
+        const quiz = this.get(id);
+        if (!quiz) return null;
+        
+        quiz.container.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'start' });
+        quiz.focusHeading(quiz.isCompleted ? '.quiz-title' : '.quiz-question');
+        return quiz;
+    },
+    
+    reset(id) {
+        const quiz = this.get(id);
+        if (quiz) {
+            quiz.restart();
+        }
+        return quiz;
+    },
+    
+    resetAll() {
+        this.getAll().forEach(quiz => quiz.restart());
+    },
+    
+    /**
+     * @returns {Array<object>} - TDDQuiz.getSummary() of every quiz on the page
+     */
+    summarize() {
+        return this.getAll().map(quiz => quiz.getSummary());
+    }
+};
+
 class TDDQuiz {
-    constructor(containerId, quizData) {
+    /**
+     * @param {string} containerId - Id of the `.quiz-container`
+     * @param {object} quizData - Quiz JSON
+     * @param {object} options - Event callbacks: onStart, onAnswer, onFinish, onReset;
+     *                           `trackResults: false` keeps a practice quiz out of
+     *                           course progress and LMS reports
+     */
+    constructor(containerId, quizData, options = {}) {
         this.container = document.getElementById(containerId);
         this.quizData = quizData;
+        this.options = options;
+        // Questions of the current attempt (drawn and shuffled by buildAttempt)
+        this.questions = quizData.questions;
+        // Index of each attempt question in quizData.questions
+        this.questionOrder = [];
+        this.seed = null;
         this.currentQuestion = 0;
         this.userAnswers = [];
-        this.score = 0;
+        // Review mode: answers are saved without feedback and graded by finishQuiz
+        this.reviewMode = Boolean(quizData.reviewBeforeSubmit);
+        this.negativeMarking = quizData.negativeMarking || 0;
+        this.grades = quizData.grades || DEFAULT_QUIZ_GRADES;
+        // Milliseconds spent on each question and the questions whose time ran out
+        this.questionTimes = [];
+        this.expiredQuestions = [];
+        // Start of the current visit to the question, null while its clock is stopped
+        this.questionStartedAt = null;
+        this.timerId = null;
+        // Textarea id of the mounted code editor, released before the screen is redrawn
+        this.codeEditorId = null;
+        this.isChecking = false;
         this.startTime = null;
         this.endTime = null;
         this.isCompleted = false;
+        this.timedOut = false;
+        
+        this.init();
+    }
+    
+    /**
+     * Score derived from the recorded answers, so re-checking or
+     * revisiting a question can never count it twice
+     */
+    get score() {
+        const total = this.questions.reduce((sum, question, index) =>
+            sum + this.getQuestionScore(index), 0);
+        // Negative marking can take points away, but not below zero
+        return Math.max(0, roundPoints(total));
+    }
+    
+    get maxScore() {
+        return this.questions.reduce((sum, question) => sum + (question.points || 1), 0);
+    }
+    
+    get percentage() {
+        return Math.round((this.score / this.maxScore) * 100);
+    }
+    
+    getQuestionScore(index) {
+        return scoreAnswer(this.questions[index], this.userAnswers[index], this.negativeMarking);
+    }
+    
+    /**
+     * Current state of the attempt, for QuizRegistry.summarize()
+     */
+    getSummary() {
+        return {
+            id: this.container.id,
+            title: this.quizData.title,
+            answered: this.questions.filter((_, index) => this.hasAnswer(index)).length,
+            total: this.questions.length,
+            score: this.score,
+            maxScore: this.maxScore,
+            percentage: this.percentage,
+            completed: this.isCompleted
+        };
+    }
+    
+    hasAnswer(index) {
+        return this.userAnswers[index] !== undefined && this.userAnswers[index] !== null;
+    }
+    
+    /**
+     * A closed question can no longer be answered: it was graded or its time ran out
+     */
+    isQuestionClosed(index) {
+        return this.expiredQuestions.includes(index) || (!this.reviewMode && this.hasAnswer(index));
+    }
+    
+    init() {
+        if (!this.container) {
+            console.error('Quiz container not found!');
+            return;
+        }
+        
+        // Same quiz id on different pages must not share storage
+        this.storageKey = `${window.location.pathname}#${this.container.id}`;
+        this.bindContainerEvents();
+        QuizRegistry.register(this);
+        
+        this.startTime = new Date();
+        const resumed = this.loadState();
+        if (!resumed) {
+            this.buildAttempt(createQuizSeed());
+        }
+        this.render();
+        this.attachEventListeners();
+        
+        if (resumed) {
+            this.showResumeNotice();
+        }
+        this.startTimer();
+        this.emitStart(resumed);
+    }
+    
+    /**
+     * Pick the questions of an attempt from its seed
+     *
+     * Quiz options: `questionsPerAttempt` draws a random subset of the pool,
+     * `shuffleQuestions` and `shuffleOptions` shuffle the display order
+     * (a question can opt out with `"shuffleOptions": false`)
+     * @param {number} seed - Attempt seed
+     */
+    buildAttempt(seed) {
+        const quiz = this.quizData;
+        const random = mulberry32(seed);
+        const poolSize = quiz.questions.length;
+        const count = Math.min(quiz.questionsPerAttempt || poolSize, poolSize);
+        let order = Array.from({ length: poolSize }, (_, index) => index);
+        
+        if (count < poolSize) {
+            order = shuffleWith(order, random).slice(0, count);
+        }
+        order = quiz.shuffleQuestions
+            ? shuffleWith(order, random)
+            : order.sort((a, b) => a - b);
+        
+        this.seed = seed;
+        this.questionOrder = order;
+        this.questions = order.map(index => {
+            const question = quiz.questions[index];
+            const shuffleOptions = quiz.shuffleOptions && question.shuffleOptions !== false;
+            if (!shuffleOptions || !question.options) {
+                return question;
+            }
+            // Answers keep referring to positions in the shuffled copy
+            return { ...question, options: shuffleWith(question.options, random) };
+        });
+    }
+    
+    /**
+     * Restore an unfinished attempt saved by saveState
+     * @returns {boolean} - True if an attempt was resumed
+     */
+    loadState() {
+        const state = readQuizStorage(QUIZ_STATE_PREFIX + this.storageKey);
+        if (!state || state.quizHash !== hashQuizQuestions(this.quizData.questions) ||
+            typeof state.seed !== 'number') {
+            return false;
+        }
+        
+        this.buildAttempt(state.seed);
+        this.currentQuestion = Math.min(state.currentQuestion, this.questions.length - 1);
+        this.userAnswers = state.userAnswers || [];
+        this.questionTimes = state.questionTimes || [];
+        this.expiredQuestions = state.expiredQuestions || [];
+        // Only time spent in the quiz counts, not the time away from it
+        this.startTime = new Date(Date.now() - (state.elapsed || 0));
+        return true;
+    }
+    
+    saveState() {
+        this.commitQuestionTime();
+        writeQuizStorage(QUIZ_STATE_PREFIX + this.storageKey, {
+            quizHash: hashQuizQuestions(this.quizData.questions),
+            seed: this.seed,
+            currentQuestion: this.currentQuestion,
+            userAnswers: this.userAnswers,
+            questionTimes: this.questionTimes,
+            expiredQuestions: this.expiredQuestions,
+            elapsed: Date.now() - this.startTime
+        });
+    }
+    
+    clearState() {
+        writeQuizStorage(QUIZ_STATE_PREFIX + this.storageKey, null);
+    }
+    
+    getHistory() {
+        return readQuizStorage(QUIZ_HISTORY_PREFIX + this.storageKey) || [];
+    }
+    
+    addToHistory(attempt) {
+        const history = [...this.getHistory(), attempt].slice(-QUIZ_HISTORY_LIMIT);
+        writeQuizStorage(QUIZ_HISTORY_PREFIX + this.storageKey, history);
+    }
+    
+    showResumeNotice() {
+        const answered = this.questions.filter((_, index) => this.hasAnswer(index)).length;
+        this.showResult('info', '💾', t('quiz.resume.title'),
+            `${t('quiz.resume.text', { answered, total: this.questions.length })} ` +
+            `<button type="button" class="quiz-btn quiz-btn-secondary quiz-restart-link" data-action="restart">${t('quiz.button.startOver')}</button>`);
+    }
+    
+    /**
+     * Start the quiz over without reloading the page
+     */
+    restart() {
+        this.emit('quiz:reset', this.getSummary());
+        
+        this.currentQuestion = 0;
+        this.userAnswers = [];
+        this.questionTimes = [];
+        this.expiredQuestions = [];
+        this.buildAttempt(createQuizSeed());
+        this.startTime = new Date();
+        this.endTime = null;
+        this.isCompleted = false;
+        this.timedOut = false;
+        this.clearState();
+        
+        this.container.classList.remove('completed');
+        this.render();
+        this.attachEventListeners();
+        this.startTimer();
+        this.focusHeading();
+        this.emitStart(false);
+    }
+    
+    /**
+     * 📣 Events
+     */
+    
+    /**
+     * Dispatch a quiz event on the container and call its option callback
+     * @param {string} type - One of QUIZ_EVENT_CALLBACKS
+     * @param {object} detail - Event payload, `quizId` is added
+     */
+    emit(type, detail = {}) {
+        const payload = { quizId: this.container.id, ...detail };
+        this.container.dispatchEvent(new CustomEvent(type, { detail: payload, bubbles: true }));
+        
+        const callback = this.options[QUIZ_EVENT_CALLBACKS[type]];
+        if (typeof callback === 'function') {
+            // A broken integration must not break the quiz
+            try {
+                callback.call(this, payload);
+            } catch (error) {
+                console.error(`Error in ${QUIZ_EVENT_CALLBACKS[type]} of #${this.container.id}:`, error);
+            }
+        }
+    }
+    
+    emitStart(resumed) {
+        this.emit('quiz:start', {
+            resumed,
+            seed: this.seed,
+            questionIds: this.questions.map((_, index) => this.getQuestionId(index)),
+            maxScore: this.maxScore
+        });
+    }
+    
+    /**
+     * Stable question id: the authored `id` or its position in the quiz data (q1, q2, ...)
+     */
+    getQuestionId(index) {
+        return this.questions[index].id || `q${this.questionOrder[index] + 1}`;
+    }
+    
+    /**
+     * Answer with option positions translated back to the quiz data,
+     * so it does not depend on the shuffled display order
+     */
+    getSelection(index) {
+        const question = this.questions[index];
+        const answer = this.hasAnswer(index) ? this.userAnswers[index] : null;
+        if (answer === null || !question.options) {
+            return answer;
+        }
+        
+        const source = this.quizData.questions[this.questionOrder[index]];
+        return answer.map(option => source.options.indexOf(question.options[option]));
+    }
+    
+    /**
+     * Payload of quiz:answer; correctness and points are null while a
+     * review-mode answer is only saved
+     */
+    getAnswerDetail(index) {
+        const question = this.questions[index];
+        const answer = this.userAnswers[index];
+        const graded = !this.reviewMode;
+        
+        return {
+            questionId: this.getQuestionId(index),
+            questionIndex: index,
+            type: question.type || 'single',
+            selection: this.getSelection(index),
+            response: describeQuizAnswer(question, answer),
+            graded,
+            correct: graded ? isAnswerCorrect(question, answer) : null,
+            earned: graded ? this.getQuestionScore(index) : null,
+            points: question.points || 1,
+            expired: this.expiredQuestions.includes(index),
+            score: graded ? this.score : null,
+            maxScore: this.maxScore
+        };
+    }
+    
+    /**
+     * ⏱ Countdowns
+     */
+    
+    hasTimeLimits() {
+        return Boolean(this.quizData.timeLimit) || this.questions.some(question => question.answerTimeLimit);
+    }
+    
+    startTimer() {
+        this.stopTimer();
+        if (!this.hasTimeLimits()) return;
+        this.timerId = setInterval(() => this.tick(), 1000);
+    }
+    
+    stopTimer() {
+        if (this.timerId !== null) {
+            clearInterval(this.timerId);
+            this.timerId = null;
+        }
+    }
+    
+    // Add the running visit to the time of the current question
+    commitQuestionTime() {
+        if (this.questionStartedAt === null) return;
+        
+        const now = Date.now();
+        this.questionTimes[this.currentQuestion] = (this.questionTimes[this.currentQuestion] || 0) + now - this.questionStartedAt;
+        this.questionStartedAt = now;
+    }
+    
+    // Stop the clock of the current question (answered, expired or left for the summary)
+    pauseQuestionTime() {
+        this.commitQuestionTime();
+        this.questionStartedAt = null;
+    }
+    
+    getQuestionTime(index) {
+        const running = index === this.currentQuestion && this.questionStartedAt !== null
+            ? Date.now() - this.questionStartedAt
+            : 0;
+        return (this.questionTimes[index] || 0) + running;
+    }
+    
+    /**
+     * @returns {number|null} - Whole seconds left for the quiz, null without a limit
+     */
+    getQuizTimeLeft() {
+        if (!this.quizData.timeLimit) return null;
+        return Math.max(0, Math.ceil(this.quizData.timeLimit - (Date.now() - this.startTime) / 1000));
+    }
+    
+    /**
+     * @returns {number|null} - Whole seconds left for the current question, null if its clock is not running
+     */
+    getQuestionTimeLeft() {
+        const limit = this.questions[this.currentQuestion].answerTimeLimit;
+        if (!limit || this.questionStartedAt === null) return null;
+        return Math.max(0, Math.ceil(limit - this.getQuestionTime(this.currentQuestion) / 1000));
+    }
+    
+    renderTimers() {
+        const timers = [];
+        if (this.quizData.timeLimit) {
+            timers.push({ name: 'quiz', label: t('quiz.timer.quiz') });
+        }
+        if (this.questions[this.currentQuestion].answerTimeLimit && !this.isQuestionClosed(this.currentQuestion)) {
+            timers.push({ name: 'question', label: t('quiz.timer.question') });
+        }
+        
+        return timers.map(timer => `
+            <div class="quiz-score-item quiz-timer" data-timer="${timer.name}" role="timer">
+                <span class="quiz-score-value quiz-timer-value"></span>
+                <span class="quiz-score-label">⏱ ${timer.label}</span>
+            </div>
+        `).join('');
+    }
+    
+    updateTimers() {
+        const timeLeft = { quiz: this.getQuizTimeLeft(), question: this.getQuestionTimeLeft() };
+        
+        this.container.querySelectorAll('.quiz-timer').forEach(timer => {
+            const seconds = timeLeft[timer.dataset.timer];
+            if (seconds === null) {
+                timer.hidden = true;
+                return;
+            }
+            timer.querySelector('.quiz-timer-value').textContent = formatQuizTime(seconds);
+            timer.classList.toggle('low', seconds <= QUIZ_TIMER_WARNING);
+        });
+        
+        return timeLeft;
+    }
+    
+    tick() {
+        // A running code check submits the answer anyway; expire after it finishes
+        if (this.isCompleted || this.isChecking) return;
+        
+        const timeLeft = this.updateTimers();
+        if (timeLeft.quiz === 0) {
+            this.finishQuiz(true);
+        } else if (timeLeft.question === 0) {
+            this.expireQuestion();
+        }
+    }
+    
+    /**
+     * The time of the current question ran out: submit what is in the form and close it
+     */
+    async expireQuestion() {
+        const index = this.currentQuestion;
+        const question = this.questions[index];
+        const answer = this.getUserAnswer(question);
+        
+        this.pauseQuestionTime();
+        this.expiredQuestions.push(index);
+        
+        if (answer !== null) {
+            await this.submitAnswer(question, answer);
+            return;
+        }
         
-        this.init();
-    }
-    
-    init() {
-        if (!this.container) {
-            console.error('Quiz container not found!');
+        this.saveState();
+        if (this.reviewMode) {
+            this.showNextAfterSave();
             return;
         }
         
-        this.startTime = new Date();
-        this.render();
-        this.attachEventListeners();
+        this.lockAnswerArea();
+        this.showResult('error', '⏰', t('quiz.timeUp.title'), t('quiz.timeUp.text'));
+        this.showNavigationButtons();
+    }
+    
+    // Disable the inputs of the current question without revealing the answer
+    lockAnswerArea() {
+        this.container.querySelectorAll('.quiz-content input, .quiz-content select, .quiz-text-answer, .quiz-order-move')
+            .forEach(control => { control.disabled = true; });
+        this.container.querySelectorAll('.quiz-order-item').forEach(item => { item.draggable = false; });
+        
+        const editor = typeof window.getCodeEditor === 'function'
+            ? window.getCodeEditor(this.getCodeEditorId())
+            : null;
+        if (editor) {
+            editor.setOption('readOnly', true);
+        }
     }
     
     render() {
         const quiz = this.quizData;
-        const question = quiz.questions[this.currentQuestion];
+        const question = this.questions[this.currentQuestion];
+        this.releaseCodeEditor();
         
         this.container.innerHTML = `
             <div class="quiz-header">
-                <span class="quiz-icon">${quiz.icon || '🧪'}</span>
+                <span class="quiz-icon">${escapeQuizHtml(quiz.icon || '🧪')}</span>
                 <div>
-                    <h3 class="quiz-title">${quiz.title}</h3>
-                    <p class="quiz-description">${quiz.description}</p>
+                    <h3 class="quiz-title">${renderQuizInline(quiz.title)}</h3>
+                    <p class="quiz-description">${renderQuizInline(quiz.description || '')}</p>
                 </div>
             </div>
             
             <div class="quiz-score">
+                ${this.renderTimers()}
                 <div class="quiz-score-item">
                     <span class="quiz-score-value">${this.currentQuestion + 1}</span>
-                    <span class="quiz-score-label">Вопрос</span>
+                    <span class="quiz-score-label">${t('quiz.stats.question')}</span>
                 </div>
                 <div class="quiz-score-item">
-                    <span class="quiz-score-value">${quiz.questions.length}</span>
-                    <span class="quiz-score-label">Всего</span>
+                    <span class="quiz-score-value">${this.questions.length}</span>
+                    <span class="quiz-score-label">${t('quiz.stats.total')}</span>
                 </div>
                 <div class="quiz-score-item">
-                    <span class="quiz-score-value">${this.score}</span>
-                    <span class="quiz-score-label">Очки</span>
+                    ${this.reviewMode ? `
+                        <span class="quiz-score-value">${this.questions.filter((_, index) => this.hasAnswer(index)).length}</span>
+                        <span class="quiz-score-label">${t('quiz.stats.answered')}</span>
+                    ` : `
+                        <span class="quiz-score-value">${this.score}</span>
+                        <span class="quiz-score-label">${t('quiz.stats.score')}</span>
+                    `}
                 </div>
             </div>
             
             <div class="quiz-progress">
-                <div class="quiz-progress-bar" style="width: ${((this.currentQuestion + 1) / quiz.questions.length) * 100}%"></div>
+                <div class="quiz-progress-bar" style="width: ${((this.currentQuestion + 1) / this.questions.length) * 100}%"></div>
             </div>
             
             <div class="quiz-content">
-                <div class="quiz-question">
-                    <span class="quiz-question-number">${this.currentQuestion + 1}</span>
-                    ${question.question}
-                </div>
-                
-                <ul class="quiz-options">
-                    ${this.renderOptions(question)}
-                </ul>
+                <fieldset class="quiz-fieldset" aria-describedby="${this.container.id}-question-text">
+                    <legend class="quiz-sr-only">${t('quiz.questionLegend', {
+                        current: this.currentQuestion + 1,
+                        total: this.questions.length,
+                        text: summarizeQuizText(question.question)
+                    })}</legend>
+                    <div class="quiz-question" id="${this.container.id}-question-text" tabindex="-1">
+                        <span class="quiz-question-number" aria-hidden="true">${this.currentQuestion + 1}</span>
+                        ${renderQuizMarkdown(question.question)}
+                    </div>
+                    
+                    ${question.code ? renderQuizCodeBlock(question.code, question.language) : ''}
+                    
+                    ${this.renderAnswerArea(question)}
+                </fieldset>
                 
                 <div class="quiz-controls">
                     ${this.renderControls()}
                 </div>
                 
-                <div id="quiz-result-${this.container.id}" class="quiz-result" style="display: none;"></div>
+                <div id="quiz-result-${this.container.id}" class="quiz-result" role="status" aria-live="polite" style="display: none;"></div>
+                
+                <p class="quiz-keyboard-hint">
+                    ⌨️ ${[
+                        question.options ? t('quiz.keys.options') : '',
+                        t(this.reviewMode ? 'quiz.keys.save' : 'quiz.keys.check'),
+                        t('quiz.keys.navigate')
+                    ].filter(Boolean).join(', ')}
+                </p>
             </div>
         `;
+        
+        if (question.type === 'code') {
+            this.mountCodeEditor();
+        }
+        
+        if (this.hasAnswer(this.currentQuestion)) {
+            this.restoreAnswer(question, this.userAnswers[this.currentQuestion]);
+        }
+        
+        if (this.expiredQuestions.includes(this.currentQuestion)) {
+            this.lockAnswerArea();
+            if (!this.hasAnswer(this.currentQuestion)) {
+                this.showResult('error', '⏰', t('quiz.timeUp.title'), t('quiz.timeUp.text'));
+            }
+        }
+        
+        this.questionStartedAt = this.isQuestionClosed(this.currentQuestion) ? null : Date.now();
+        this.updateTimers();
+    }
+    
+    /**
+     * Put a recorded answer back into the freshly rendered question:
+     * editable in review mode, locked and highlighted otherwise
+     */
+    restoreAnswer(question, answer) {
+        switch (question.type) {
+            case 'output':
+            case 'fill':
+                this.container.querySelector('.quiz-text-answer').value = answer;
+                break;
+            case 'order': {
+                const list = this.container.querySelector('.quiz-order');
+                answer.forEach(itemIndex => {
+                    list.appendChild(list.querySelector(`.quiz-order-item[data-item="${itemIndex}"]`));
+                });
+                break;
+            }
+            case 'matching':
+                this.container.querySelectorAll('.quiz-matching-select').forEach((select, pairIndex) => {
+                    select.value = String(answer[pairIndex]);
+                });
+                break;
+            case 'code':
+                // The editor was rendered with the submitted code
+                break;
+            default:
+                this.container.querySelectorAll('.quiz-option input').forEach(input => {
+                    input.checked = answer.includes(parseInt(input.value));
+                    input.closest('.quiz-option').classList.toggle('selected', input.checked);
+                });
+        }
+        
+        if (this.reviewMode) return;
+        
+        this.highlightAnswer(question, answer, isAnswerCorrect(question, answer));
+        this.showQuestionResult(question, answer, false);
+    }
+    
+    getExplanation(question, answer) {
+        return question.type === 'code'
+            ? this.renderCodeResultDetails(answer, question.explanation && renderQuizMarkdown(question.explanation))
+            : question.explanation && renderQuizMarkdown(question.explanation);
+    }
+    
+    renderAnswerArea(question) {
+        switch (question.type) {
+            case 'output':
+                return `
+                    <textarea class="quiz-text-answer" rows="4" spellcheck="false" aria-label="${t('quiz.output.label')}"
+                              placeholder="${t('quiz.output.placeholder')}"></textarea>
+                `;
+            case 'fill':
+                return `
+                    <input type="text" class="quiz-text-answer" autocomplete="off" spellcheck="false" aria-label="${t('quiz.fill.placeholder')}"
+                           placeholder="${escapeQuizHtml(question.placeholder || t('quiz.fill.placeholder'))}" />
+                `;
+            case 'order':
+                return `<ol class="quiz-order">${this.renderOrderItems(question)}</ol>`;
+            case 'matching':
+                return `<ul class="quiz-matching">${this.renderMatchingPairs(question)}</ul>`;
+            case 'code': {
+                const answer = this.userAnswers[this.currentQuestion];
+                const code = answer ? answer.code : (question.starterCode || '');
+                return `
+                    <div class="quiz-code-question">
+                        <textarea id="${this.getCodeEditorId()}" class="quiz-code-input" rows="8"
+                                  spellcheck="false">${escapeQuizHtml(code)}</textarea>
+                    </div>
+                `;
+            }
+            default:
+                return `<ul class="quiz-options">${this.renderOptions(question)}</ul>`;
+        }
+    }
+    
+    getCodeEditorId() {
+        return `quiz-code-${this.container.id}-${this.currentQuestion}`;
+    }
+    
+    mountCodeEditor() {
+        // Without CodeMirror the plain textarea still works
+        if (typeof window.initCodeEditor !== 'function' || typeof CodeMirror === 'undefined') return;
+        
+        const editor = window.initCodeEditor(this.getCodeEditorId());
+        if (editor) {
+            this.codeEditorId = this.getCodeEditorId();
+        }
+        // Read-only once graded or expired. In review mode a saved answer is not
+        // graded yet, so it stays editable after "Изменить" until the quiz is submitted
+        if (editor && this.isQuestionClosed(this.currentQuestion)) {
+            editor.setOption('readOnly', true);
+        }
+    }
+    
+    /**
+     * Editors are kept by textarea id (code-editor.js): drop the one of the
+     * current screen before its markup is replaced
+     */
+    releaseCodeEditor() {
+        if (this.codeEditorId && typeof window.destroyCodeEditor === 'function') {
+            window.destroyCodeEditor(this.codeEditorId);
+        }
+        this.codeEditorId = null;
+    }
+    
+    getCodeValue() {
+        const textareaId = this.getCodeEditorId();
+        return typeof window.getCodeValue === 'function'
+            ? window.getCodeValue(textareaId)
+            : document.getElementById(textareaId).value;
+    }
+    
+    /**
+     * Grade a code question by running its hidden tests in Pyodide
+     * @returns {Promise<{code: string, testsPassed: number, totalTests: number, tests: Array, error: string}>}
+     *          - or {code, unavailable: true, error} when Python could not be loaded
+     */
+    async runCodeQuestion(question, code, questionIndex = this.currentQuestion) {
+        const tests = question.tests || [];
+        const result = await window.executePythonCode(
+            `${this.container.id}-q${questionIndex}`,
+            code,
+            tests,
+            { timeLimit: question.timeLimit, packages: question.packages }
+        );
+        // Python failed to load: not the student's fault, the answer stays open
+        if (result.unavailable) {
+            return { code, unavailable: true, error: result.error };
+        }
+        const testResults = result.success ? result.tests || [] : [];
+        
+        return {
+            code,
+            testsPassed: testResults.filter(test => test.status === 'passed').length,
+            totalTests: tests.length,
+            tests: testResults,
+            error: result.success ? null : (result.traceback || result.error)
+        };
+    }
+    
+    renderCodeResultDetails(answer, explanation) {
+        const details = answer.error
+            ? `<pre class="quiz-code-error">${escapeQuizHtml(answer.error)}</pre>`
+            : `<ul class="quiz-code-tests">${answer.tests.map(test => `
+                <li>${test.status === 'passed' ? '✅' : '❌'} ${escapeQuizHtml(test.name)}${test.message ? `: ${escapeQuizHtml(test.message)}` : ''}</li>
+            `).join('')}</ul>`;
+        
+        return `
+            <div>${t('common.testsPassed', { passed: answer.testsPassed, total: answer.totalTests })}</div>
+            ${details}
+            ${explanation ? `<div>${explanation}</div>` : ''}
+        `;
+    }
+    
+    /**
+     * Display order of order/matching items, derived from the attempt seed
+     */
+    getShuffle(length) {
+        const random = mulberry32(this.seed + this.currentQuestion + 1);
+        let order = Array.from({ length }, (_, index) => index);
+        // Reshuffle until the order differs from the answer (when that is possible)
+        do {
+            order = shuffleWith(order, random);
+        } while (length > 1 && order.every((item, position) => item === position));
+        return order;
+    }
+    
+    renderOrderItems(question) {
+        return this.getShuffle(question.items.length).map(itemIndex => `
+            <li class="quiz-order-item" draggable="true" data-item="${itemIndex}">
+                <span class="quiz-order-handle" aria-hidden="true">⋮⋮</span>
+                <span class="quiz-option-text">${renderQuizInline(question.items[itemIndex])}</span>
+                <button type="button" class="quiz-order-move" data-action="move" data-move="-1" title="${t('quiz.order.up')}" aria-label="${t('quiz.order.moveUp')}">↑</button>
+                <button type="button" class="quiz-order-move" data-action="move" data-move="1" title="${t('quiz.order.down')}" aria-label="${t('quiz.order.moveDown')}">↓</button>
+            </li>
+        `).join('');
+    }
+    
+    renderMatchingPairs(question) {
+        const rightOrder = this.getShuffle(question.pairs.length);
+        
+        return question.pairs.map((pair, pairIndex) => `
+            <li class="quiz-matching-row" data-pair="${pairIndex}">
+                <span class="quiz-matching-left">${renderQuizInline(pair.left)}</span>
+                <select class="quiz-matching-select" data-pair="${pairIndex}" aria-label="${escapeQuizHtml(t('quiz.matching.label', { left: pair.left }))}">
+                    <option value="">${t('quiz.matching.choose')}</option>
+                    ${rightOrder.map(rightIndex => `
+                        <option value="${rightIndex}">${escapeQuizHtml(question.pairs[rightIndex].right)}</option>
+                    `).join('')}
+                </select>
+            </li>
+        `).join('');
     }
     
     renderOptions(question) {
@@ -87,110 +1218,366 @@ class TDDQuiz {
             <li class="quiz-option" data-index="${index}">
                 <label>
                     <input type="${inputType}" name="${name}" value="${index}" />
-                    <span class="quiz-option-text">${option.text}</span>
+                    <span class="quiz-option-text">${renderQuizInline(option.text)}</span>
                 </label>
             </li>
         `).join('');
     }
     
     renderControls() {
-        const quiz = this.quizData;
-        const isLastQuestion = this.currentQuestion === quiz.questions.length - 1;
-        const hasAnswered = this.userAnswers[this.currentQuestion];
+        const isLastQuestion = this.currentQuestion === this.questions.length - 1;
+        const isClosed = this.isQuestionClosed(this.currentQuestion);
         
         let controls = '';
         
         if (this.currentQuestion > 0) {
-            controls += '<button class="quiz-btn quiz-btn-secondary" id="prev-btn">← Назад</button>';
+            controls += this.renderButton('prev', t('quiz.button.prev'), 'secondary');
+        }
+        
+        if (this.reviewMode) {
+            if (!isClosed) {
+                controls += this.renderButton('check', t('quiz.button.save'), 'primary');
+            } else if (!isLastQuestion) {
+                controls += this.renderButton('next', t('quiz.button.next'), 'success');
+            }
+            controls += this.renderButton('review', t('quiz.button.review'), 'secondary');
+            return controls;
         }
         
-        if (!hasAnswered) {
-            controls += '<button class="quiz-btn quiz-btn-primary" id="check-btn">Проверить</button>';
+        if (!isClosed) {
+            controls += this.renderButton('check', t('quiz.button.check'), 'primary');
         } else {
             if (!isLastQuestion) {
-                controls += '<button class="quiz-btn quiz-btn-success" id="next-btn">Далее →</button>';
+                controls += this.renderButton('next', t('quiz.button.next'), 'success');
             } else {
-                controls += '<button class="quiz-btn quiz-btn-success" id="finish-btn">Завершить 🎯</button>';
+                controls += this.renderButton('finish', t('quiz.button.finish'), 'success');
             }
         }
         
         return controls;
     }
     
-    attachEventListeners() {
-        const checkBtn = document.getElementById('check-btn');
-        const nextBtn = document.getElementById('next-btn');
-        const prevBtn = document.getElementById('prev-btn');
-        const finishBtn = document.getElementById('finish-btn');
+    /**
+     * Ids are prefixed with the container id, so several quizzes can share a page
+     */
+    getElementId(name) {
+        return `${this.container.id}-${name}`;
+    }
+    
+    renderButton(action, label, style) {
+        return `<button type="button" class="quiz-btn quiz-btn-${style}" id="${this.getElementId(`${action}-btn`)}" data-action="${action}">${label}</button>`;
+    }
+    
+    getButton(action) {
+        return this.container.querySelector(`[data-action="${action}"]`);
+    }
+    
+    /**
+     * Buttons and inputs are handled by delegation on the container, which
+     * survives re-renders; only drag and drop needs per-element listeners
+     */
+    bindContainerEvents() {
+        this.listeners = {
+            click: event => this.handleClick(event),
+            change: event => this.handleChange(event),
+            keydown: event => this.handleKeydown(event)
+        };
+        Object.entries(this.listeners).forEach(([type, listener]) => {
+            this.container.addEventListener(type, listener);
+        });
+    }
+    
+    /**
+     * Detach the quiz from its container (the registry does this before a re-init)
+     */
+    destroy() {
+        this.stopTimer();
+        Object.entries(this.listeners || {}).forEach(([type, listener]) => {
+            this.container.removeEventListener(type, listener);
+        });
+        this.listeners = null;
+    }
+    
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button || button.disabled || !this.container.contains(button)) return;
         
-        if (checkBtn) {
-            checkBtn.addEventListener('click', () => this.checkAnswer());
+        switch (button.dataset.action) {
+            case 'check':
+                this.checkAnswer();
+                break;
+            case 'next':
+                this.nextQuestion();
+                break;
+            case 'prev':
+                this.prevQuestion();
+                break;
+            case 'finish':
+                this.finishQuiz();
+                break;
+            case 'review':
+                this.showReviewSummary();
+                break;
+            case 'goto':
+                this.goToQuestion(parseInt(button.dataset.question));
+                break;
+            case 'restart':
+                this.restart();
+                break;
+            case 'export':
+                this.exportResults();
+                break;
+            case 'move':
+                this.moveOrderItem(button);
+                break;
         }
+    }
+    
+    // Highlight selected options; "change" also covers Space and number keys
+    handleChange(event) {
+        if (!event.target.matches('.quiz-option input')) return;
+        
+        this.container.querySelectorAll('.quiz-option input').forEach(option => {
+            option.closest('.quiz-option').classList.toggle('selected', option.checked);
+        });
+    }
+    
+    attachEventListeners() {
+        this.attachOrderListeners();
+    }
+    
+    /**
+     * ⌨️ Shortcuts: 1-9 pick an option, Enter checks or moves on, ←/→ switch questions
+     */
+    handleKeydown(event) {
+        if (this.isCompleted || event.altKey || event.ctrlKey || event.metaKey) return;
+        
+        const target = event.target;
+        const inTextEntry = isTextEntryTarget(target);
         
-        if (nextBtn) {
-            nextBtn.addEventListener('click', () => this.nextQuestion());
+        if (/^[1-9]$/.test(event.key) && !inTextEntry) {
+            const input = this.container.querySelectorAll('.quiz-option input')[Number(event.key) - 1];
+            if (input && !input.disabled) {
+                event.preventDefault();
+                input.click();
+                input.focus();
+            }
+            return;
         }
         
-        if (prevBtn) {
-            prevBtn.addEventListener('click', () => this.prevQuestion());
+        if (event.key === 'Enter') {
+            // Buttons and links handle Enter themselves, multi-line answers need it for new lines
+            if (target.closest('button, a, textarea, .CodeMirror')) return;
+            const button = this.getButton('check') || this.getButton('next') || this.getButton('finish');
+            if (button && !button.disabled) {
+                event.preventDefault();
+                button.click();
+            }
+            return;
         }
         
-        if (finishBtn) {
-            finishBtn.addEventListener('click', () => this.finishQuiz());
+        // Arrows move between radio buttons natively
+        if ((event.key === 'ArrowLeft' || event.key === 'ArrowRight') && !inTextEntry &&
+            !target.matches('input[type="radio"]')) {
+            const button = this.getButton(event.key === 'ArrowLeft' ? 'prev' : 'next');
+            if (button) {
+                event.preventDefault();
+                button.click();
+            }
+        }
+    }
+    
+    // Move focus to the heading of a new screen so screen readers start reading there
+    focusHeading(selector = '.quiz-question') {
+        const heading = this.container.querySelector(selector);
+        if (heading) {
+            heading.focus();
         }
+    }
+    
+    moveOrderItem(button) {
+        const item = button.closest('.quiz-order-item');
+        const list = item.parentElement;
+        if (button.dataset.move === '-1' && item.previousElementSibling) {
+            list.insertBefore(item, item.previousElementSibling);
+        } else if (button.dataset.move === '1' && item.nextElementSibling) {
+            list.insertBefore(item.nextElementSibling, item);
+        }
+        // Moving the item can drop focus from the button
+        button.focus();
+    }
+    
+    attachOrderListeners() {
+        const list = this.container.querySelector('.quiz-order');
+        if (!list) return;
         
-        // Auto-select radio buttons on click
-        const options = this.container.querySelectorAll('.quiz-option label');
-        options.forEach(label => {
-            label.addEventListener('click', () => {
-                const input = label.querySelector('input');
-                if (input.type === 'radio') {
-                    // Clear other selections for radio buttons
-                    const radioGroup = this.container.querySelectorAll(`input[name="${input.name}"]`);
-                    radioGroup.forEach(radio => {
-                        radio.closest('.quiz-option').classList.remove('selected');
-                    });
-                    
-                    input.closest('.quiz-option').classList.add('selected');
-                }
+        // Drag and drop; the arrow buttons cover touch screens and keyboards
+        let dragged = null;
+        list.querySelectorAll('.quiz-order-item').forEach(item => {
+            item.addEventListener('dragstart', (event) => {
+                dragged = item;
+                item.classList.add('dragging');
+                event.dataTransfer.effectAllowed = 'move';
+            });
+            item.addEventListener('dragend', () => {
+                item.classList.remove('dragging');
+                dragged = null;
+            });
+            item.addEventListener('dragover', (event) => {
+                if (!dragged || dragged === item) return;
+                event.preventDefault();
+                const rect = item.getBoundingClientRect();
+                const after = event.clientY > rect.top + rect.height / 2;
+                list.insertBefore(dragged, after ? item.nextElementSibling : item);
             });
         });
     }
     
-    checkAnswer() {
-        const question = this.quizData.questions[this.currentQuestion];
-        const selectedOptions = this.getSelectedOptions();
+    async checkAnswer() {
+        const question = this.questions[this.currentQuestion];
         
-        if (selectedOptions.length === 0) {
-            this.showResult('warning', '⚠️', 'Выберите ответ!', 'Пожалуйста, выберите хотя бы один вариант ответа.');
-            return;
-        }
+        // Graded and expired answers are final (the inputs are locked, but the button may be stale)
+        if (this.isQuestionClosed(this.currentQuestion)) return;
         
-        this.userAnswers[this.currentQuestion] = selectedOptions;
+        const answer = this.getUserAnswer(question);
         
-        // Calculate score for this question
-        const correctAnswers = question.options
-            .map((opt, index) => opt.correct ? index : null)
-            .filter(index => index !== null);
+        if (answer === null) {
+            if (question.type === 'output' || question.type === 'fill') {
+                this.showResult('warning', '⚠️', t('quiz.missing.text.title'), t('quiz.missing.text.text'));
+            } else if (question.type === 'code') {
+                this.showResult('warning', '⚠️', t('quiz.missing.code.title'), t('quiz.missing.code.text'));
+            } else if (question.type === 'matching') {
+                this.showResult('warning', '⚠️', t('quiz.missing.matching.title'), t('quiz.missing.matching.text'));
+            } else {
+                this.showResult('warning', '⚠️', t('quiz.missing.options.title'), t('quiz.missing.options.text'));
+            }
+            return;
+        }
         
-        let isCorrect = false;
+        await this.submitAnswer(question, answer);
+    }
+    
+    /**
+     * Record an answer read from the form: save it in review mode, grade it otherwise
+     */
+    async submitAnswer(question, answer) {
+        if (this.reviewMode) {
+            // Code is run by finishQuiz together with the rest of the grading
+            this.userAnswers[this.currentQuestion] = question.type === 'code' ? { code: answer } : answer;
+            this.saveState();
+            this.emit('quiz:answer', this.getAnswerDetail(this.currentQuestion));
+            this.showNextAfterSave();
+            return;
+        }
         
-        if (question.type === 'multiple') {
-            // For multiple choice, all correct answers must be selected and no incorrect ones
-            isCorrect = correctAnswers.every(index => selectedOptions.includes(index)) &&
-                       selectedOptions.every(index => correctAnswers.includes(index));
-        } else {
-            // For single choice, the selected answer must be correct
-            isCorrect = selectedOptions.length === 1 && correctAnswers.includes(selectedOptions[0]);
+        // Navigation is blocked while code is checked (see setNavigationLocked),
+        // the index still pins the result to the question that was answered
+        const questionIndex = this.currentQuestion;
+        if (question.type === 'code') {
+            if (typeof window.executePythonCode !== 'function') {
+                this.showResult('warning', '⚠️', t('quiz.noPython.title'), t('quiz.noPython.text'));
+                return;
+            }
+            if (this.isChecking) return;
+            
+            const checkBtn = this.getButton('check');
+            this.isChecking = true;
+            this.setNavigationLocked(true);
+            if (checkBtn) {
+                checkBtn.disabled = true;
+                checkBtn.textContent = t('quiz.button.checking');
+            }
+            try {
+                answer = await this.runCodeQuestion(question, answer, questionIndex);
+            } finally {
+                this.isChecking = false;
+                this.setNavigationLocked(false);
+            }
+            
+            if (answer.unavailable) {
+                if (checkBtn) {
+                    checkBtn.disabled = false;
+                    checkBtn.textContent = t('quiz.button.check');
+                }
+                this.showResult('warning', '⚠️', t('quiz.noPython.title'),
+                    `${t('quiz.noPython.text')}<br>${escapeQuizHtml(answer.error)}`);
+                return;
+            }
         }
         
-        if (isCorrect) {
-            this.score += question.points || 1;
+        if (this.isCompleted) return;
+        this.userAnswers[questionIndex] = answer;
+        if (this.currentQuestion !== questionIndex) {
+            this.saveState();
+            return;
         }
+        this.pauseQuestionTime();
         
-        this.highlightAnswers(correctAnswers, selectedOptions);
-        this.showQuestionResult(isCorrect, question.explanation);
+        this.highlightAnswer(question, answer, isAnswerCorrect(question, answer));
+        this.showQuestionResult(question, answer);
+        this.hideQuestionTimer();
+        this.saveState();
         this.showNavigationButtons(); // Show next/finish button without re-rendering
+        this.emit('quiz:answer', this.getAnswerDetail(this.currentQuestion));
+        
+        const nextButton = this.getButton('next') || this.getButton('finish');
+        if (nextButton) {
+            nextButton.focus();
+        }
+    }
+    
+    // Disable the buttons that leave the question while its code is being checked
+    setNavigationLocked(locked) {
+        this.container.querySelectorAll('[data-action="prev"], [data-action="next"], [data-action="goto"]')
+            .forEach(button => {
+                button.disabled = locked;
+            });
+    }
+    
+    hideQuestionTimer() {
+        const timer = this.container.querySelector('.quiz-timer[data-timer="question"]');
+        if (timer) {
+            timer.hidden = true;
+        }
+    }
+    
+    // Review mode: move on after an answer was saved
+    showNextAfterSave() {
+        if (this.currentQuestion < this.questions.length - 1) {
+            this.nextQuestion();
+        } else {
+            this.showReviewSummary();
+        }
+    }
+    
+    /**
+     * Read the answer for the current question from the form
+     * @returns {Array|string|null} - Answer in the shape isAnswerCorrect expects, null if not given
+     */
+    getUserAnswer(question) {
+        switch (question.type) {
+            case 'output':
+            case 'fill': {
+                const value = this.container.querySelector('.quiz-text-answer').value;
+                return value.trim() ? value : null;
+            }
+            case 'order':
+                return Array.from(this.container.querySelectorAll('.quiz-order-item'))
+                    .map(item => parseInt(item.dataset.item));
+            case 'code': {
+                const code = this.getCodeValue();
+                return code.trim() ? code : null;
+            }
+            case 'matching': {
+                const selects = Array.from(this.container.querySelectorAll('.quiz-matching-select'));
+                if (selects.some(select => select.value === '')) return null;
+                return selects.map(select => parseInt(select.value));
+            }
+            default: {
+                const selectedOptions = this.getSelectedOptions();
+                return selectedOptions.length > 0 ? selectedOptions : null;
+            }
+        }
     }
     
     getSelectedOptions() {
@@ -198,6 +1585,70 @@ class TDDQuiz {
         return Array.from(inputs).map(input => parseInt(input.value));
     }
     
+    highlightAnswer(question, answer, isCorrect) {
+        switch (question.type) {
+            case 'output':
+            case 'fill': {
+                const input = this.container.querySelector('.quiz-text-answer');
+                input.disabled = true;
+                input.classList.add(isCorrect ? 'correct' : 'incorrect');
+                if (!isCorrect) {
+                    input.insertAdjacentHTML('afterend', `
+                        <div class="quiz-expected">
+                            ${t('quiz.correctAnswer')}
+                            <pre><code>${escapeQuizHtml(getAcceptedAnswers(question)[0] || question.pattern || '')}</code></pre>
+                        </div>
+                    `);
+                }
+                break;
+            }
+            case 'order': {
+                const list = this.container.querySelector('.quiz-order');
+                list.querySelectorAll('.quiz-order-item').forEach((item, position) => {
+                    item.classList.add(answer[position] === position ? 'correct' : 'incorrect');
+                    item.draggable = false;
+                    item.querySelectorAll('button').forEach(button => { button.disabled = true; });
+                });
+                if (!isCorrect) {
+                    list.insertAdjacentHTML('afterend', `
+                        <div class="quiz-expected">
+                            ${t('quiz.correctOrder')}
+                            <ol>${question.items.map(item => `<li>${renderQuizInline(item)}</li>`).join('')}</ol>
+                        </div>
+                    `);
+                }
+                break;
+            }
+            case 'code': {
+                const editor = typeof window.getCodeEditor === 'function'
+                    ? window.getCodeEditor(this.getCodeEditorId())
+                    : null;
+                if (editor) {
+                    editor.setOption('readOnly', true);
+                } else {
+                    document.getElementById(this.getCodeEditorId()).disabled = true;
+                }
+                this.container.querySelector('.quiz-code-question')
+                    .classList.add(isCorrect ? 'correct' : 'incorrect');
+                break;
+            }
+            case 'matching':
+                this.container.querySelectorAll('.quiz-matching-row').forEach((row, pairIndex) => {
+                    const matched = answer[pairIndex] === pairIndex;
+                    row.classList.add(matched ? 'correct' : 'incorrect');
+                    row.querySelector('select').disabled = true;
+                    if (!matched) {
+                        row.insertAdjacentHTML('beforeend', `
+                            <span class="quiz-matching-expected">→ ${escapeQuizHtml(question.pairs[pairIndex].right)}</span>
+                        `);
+                    }
+                });
+                break;
+            default:
+                this.highlightAnswers(getCorrectOptionIndices(question), answer);
+        }
+    }
+    
     highlightAnswers(correctAnswers, selectedOptions) {
         const options = this.container.querySelectorAll('.quiz-option');
         
@@ -219,14 +1670,23 @@ class TDDQuiz {
         });
     }
     
-    showQuestionResult(isCorrect, explanation) {
-        const resultDiv = document.getElementById(`quiz-result-${this.container.id}`);
+    showQuestionResult(question, answer, celebrate = true) {
+        const explanation = this.getExplanation(question, answer) || '';
+        const earned = this.getQuestionScore(this.currentQuestion);
         
-        if (isCorrect) {
-            this.showResult('success', '🎉', 'Правильно!', explanation);
-            this.createConfetti();
+        if (isAnswerCorrect(question, answer)) {
+            this.showResult('success', '🎉', t('quiz.result.correct'), explanation);
+            if (celebrate) {
+                this.createConfetti();
+            }
+        } else if (earned > 0) {
+            this.showResult('warning', '🌓', t('quiz.result.partial'),
+                `${t('quiz.result.points', { earned, points: question.points || 1 })}<br>${explanation}`);
+        } else if (earned < 0) {
+            this.showResult('error', '📚', t('quiz.result.wrong'),
+                `${t('quiz.result.penalty', { count: earned })}<br>${explanation}`);
         } else {
-            this.showResult('error', '📚', 'Неправильно', explanation);
+            this.showResult('error', '📚', t('quiz.result.wrong'), explanation);
         }
     }
     
@@ -243,7 +1703,7 @@ class TDDQuiz {
         
         // Animate result appearance
         setTimeout(() => {
-            resultDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            resultDiv.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'nearest' });
         }, 100);
     }
     
@@ -251,106 +1711,286 @@ class TDDQuiz {
         const controlsDiv = this.container.querySelector('.quiz-controls');
         if (!controlsDiv) return;
         
-        const isLastQuestion = this.currentQuestion === this.quizData.questions.length - 1;
+        const isLastQuestion = this.currentQuestion === this.questions.length - 1;
         let controls = '';
         
         if (this.currentQuestion > 0) {
-            controls += '<button class="quiz-btn quiz-btn-secondary" id="prev-btn">← Назад</button>';
+            controls += this.renderButton('prev', t('quiz.button.prev'), 'secondary');
         }
         
         if (!isLastQuestion) {
-            controls += '<button class="quiz-btn quiz-btn-success" id="next-btn">Далее →</button>';
+            controls += this.renderButton('next', t('quiz.button.next'), 'success');
         } else {
-            controls += '<button class="quiz-btn quiz-btn-success" id="finish-btn">Завершить 🎯</button>';
+            controls += this.renderButton('finish', t('quiz.button.finish'), 'success');
         }
         
         controlsDiv.innerHTML = controls;
-        this.attachEventListeners();
     }
     
     nextQuestion() {
-        if (this.currentQuestion < this.quizData.questions.length - 1) {
+        if (this.isChecking) return;
+        if (this.currentQuestion < this.questions.length - 1) {
+            this.commitQuestionTime();
             this.currentQuestion++;
             this.render();
             this.attachEventListeners();
+            // After render: the shuffled order of the new question is part of the state
+            this.saveState();
+            this.focusHeading();
         }
     }
     
     prevQuestion() {
+        if (this.isChecking) return;
         if (this.currentQuestion > 0) {
+            this.commitQuestionTime();
             this.currentQuestion--;
             this.render();
             this.attachEventListeners();
+            this.saveState();
+            this.focusHeading();
+        }
+    }
+    
+    goToQuestion(index) {
+        if (this.isChecking) return;
+        this.commitQuestionTime();
+        this.currentQuestion = index;
+        this.render();
+        this.attachEventListeners();
+        this.saveState();
+        this.focusHeading();
+    }
+    
+    /**
+     * Review mode: list every question with its answer status before submitting
+     */
+    showReviewSummary() {
+        const questions = this.questions;
+        this.pauseQuestionTime();
+        const content = this.container.querySelector('.quiz-content');
+        this.releaseCodeEditor();
+        
+        content.innerHTML = `
+            <div class="quiz-question" tabindex="-1">${t('quiz.review.title')}</div>
+            <ul class="quiz-review-list">
+                ${questions.map((question, index) => `
+                    <li class="quiz-review-item ${this.hasAnswer(index) ? 'answered' : 'unanswered'}">
+                        <span class="quiz-review-status">${this.hasAnswer(index) ? '✅' : '⚪'}</span>
+                        <span class="quiz-review-text">${t('quiz.review.question', { number: index + 1, text: summarizeQuizText(question.question) })}</span>
+                        <button type="button" class="quiz-btn quiz-btn-secondary" data-action="goto" data-question="${index}">${t('quiz.button.change')}</button>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="quiz-controls">
+                ${this.renderButton('finish', t('quiz.button.finishAndCheck'), 'success')}
+            </div>
+            <div id="quiz-result-${this.container.id}" class="quiz-result" role="status" aria-live="polite" style="display: none;"></div>
+        `;
+        
+        this.focusHeading();
+    }
+    
+    /**
+     * Review mode: run the tests of every saved code answer
+     */
+    async gradeCodeAnswers() {
+        const pending = this.questions
+            .map((question, index) => ({ question, index }))
+            .filter(({ question, index }) => question.type === 'code' && this.hasAnswer(index) &&
+                this.userAnswers[index].totalTests === undefined);
+        if (pending.length === 0) return;
+        
+        if (typeof window.executePythonCode !== 'function') {
+            this.showResult('warning', '⚠️', t('quiz.noPython.title'), t('quiz.noPython.review'));
+            return;
+        }
+        
+        this.showResult('info', '⏳', t('quiz.checkingCode.title'), t('quiz.checkingCode.text', { count: pending.length }));
+        for (const { question, index } of pending) {
+            const answer = await this.runCodeQuestion(question, this.userAnswers[index].code, index);
+            if (answer.unavailable) {
+                this.showResult('warning', '⚠️', t('quiz.noPython.title'), t('quiz.noPython.review'));
+                return;
+            }
+            this.userAnswers[index] = answer;
+        }
+    }
+    
+    /**
+     * Submit the answer left in the form of an open question (the quiz time ran out)
+     */
+    async submitOpenAnswer() {
+        if (this.questionStartedAt === null) return;
+        
+        const question = this.questions[this.currentQuestion];
+        const answer = this.getUserAnswer(question);
+        if (answer !== null) {
+            await this.submitAnswer(question, answer);
         }
     }
     
-    finishQuiz() {
+    /**
+     * @param {boolean} timedOut - The quiz time limit ran out
+     */
+    async finishQuiz(timedOut = false) {
+        if (this.isChecking || this.isCompleted) return;
+        
+        if (timedOut) {
+            this.stopTimer();
+            await this.submitOpenAnswer();
+        } else if (this.reviewMode) {
+            const unanswered = this.questions.filter((_, index) => !this.hasAnswer(index)).length;
+            if (unanswered > 0 && !window.confirm(t('quiz.confirmUnanswered', { count: unanswered }))) {
+                return;
+            }
+        }
+        
+        this.stopTimer();
+        this.pauseQuestionTime();
+        this.timedOut = timedOut;
+        
+        if (this.reviewMode) {
+            this.isChecking = true;
+            try {
+                await this.gradeCodeAnswers();
+            } finally {
+                this.isChecking = false;
+            }
+        }
+        
         this.endTime = new Date();
         this.isCompleted = true;
+        this.clearState();
+        
+        this.addToHistory({
+            score: this.score,
+            maxScore: this.maxScore,
+            percentage: this.percentage,
+            timeSpent: Math.round((this.endTime - this.startTime) / 1000),
+            finishedAt: this.endTime.getTime()
+        });
+        
         this.showFinalResults();
+        this.recordProgress();
+        this.reportResults();
+        this.emit('quiz:finish', this.getResultReport());
+    }
+    
+    recordProgress() {
+        if (typeof window === 'undefined' || !window.CourseProgress || this.options.trackResults === false) return;
+        
+        window.CourseProgress.recordQuizResult(this.container.id, {
+            score: this.score,
+            maxScore: this.maxScore,
+            percentage: this.percentage,
+            passPercentage: getQuizPassPercentage(this.grades)
+        });
+    }
+    
+    /**
+     * Result of the finished attempt for LMS reporting and export
+     * @returns {object} - Plain JSON: totals, timing and one entry per question;
+     *                     `id` and `sourceIndex` (the position in the quiz data)
+     *                     are stable across shuffled attempts
+     */
+    getResultReport() {
+        const passPercentage = getQuizPassPercentage(this.grades);
+        
+        return {
+            quizId: this.container.id,
+            title: this.quizData.title,
+            pageUrl: window.location.origin + window.location.pathname,
+            score: this.score,
+            maxScore: this.maxScore,
+            percentage: this.percentage,
+            passPercentage,
+            passed: this.percentage >= passPercentage,
+            timedOut: Boolean(this.timedOut),
+            startedAt: this.startTime.toISOString(),
+            finishedAt: this.endTime.toISOString(),
+            duration: this.endTime - this.startTime,
+            questions: this.questions.map((question, index) => ({
+                id: this.getQuestionId(index),
+                sourceIndex: this.questionOrder[index],
+                type: question.type || 'single',
+                question: question.question,
+                answered: this.hasAnswer(index),
+                selection: this.getSelection(index),
+                response: describeQuizAnswer(question, this.userAnswers[index]),
+                correct: isAnswerCorrect(question, this.userAnswers[index]),
+                points: question.points || 1,
+                earned: this.getQuestionScore(index),
+                duration: this.getQuestionTime(index),
+                expired: this.expiredQuestions.includes(index)
+            }))
+        };
+    }
+    
+    reportResults() {
+        if (typeof window === 'undefined' || !window.QuizReporting || this.options.trackResults === false) return;
+        
+        window.QuizReporting.report(this.getResultReport());
+    }
+    
+    exportResults() {
+        const blob = new Blob([JSON.stringify(this.getResultReport(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `quiz-${this.container.id}-${this.endTime.toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // The download starts asynchronously, the URL has to outlive click()
+        setTimeout(() => URL.revokeObjectURL(link.href), 60 * 1000);
     }
     
     showFinalResults() {
         const quiz = this.quizData;
-        const totalQuestions = quiz.questions.length;
-        const maxScore = quiz.questions.reduce((sum, q) => sum + (q.points || 1), 0);
-        const percentage = Math.round((this.score / maxScore) * 100);
+        const totalQuestions = this.questions.length;
+        const maxScore = this.maxScore;
+        const percentage = this.percentage;
         const timeSpent = Math.round((this.endTime - this.startTime) / 1000);
-        
-        let grade = '';
-        let gradeIcon = '';
-        let gradeColor = '';
-        
-        if (percentage >= 90) {
-            grade = 'Отлично!';
-            gradeIcon = '🏆';
-            gradeColor = 'success';
-        } else if (percentage >= 75) {
-            grade = 'Хорошо!';
-            gradeIcon = '🥈';
-            gradeColor = 'success';
-        } else if (percentage >= 60) {
-            grade = 'Удовлетворительно';
-            gradeIcon = '🥉';
-            gradeColor = 'warning';
-        } else {
-            grade = 'Нужно повторить';
-            gradeIcon = '📚';
-            gradeColor = 'error';
-        }
+        const grade = getQuizGrade(percentage, this.grades);
+        this.releaseCodeEditor();
         
         this.container.innerHTML = `
             <div class="quiz-header">
                 <span class="quiz-icon">🎯</span>
                 <div>
-                    <h3 class="quiz-title">Тест завершен!</h3>
-                    <p class="quiz-description">${quiz.title}</p>
+                    <h3 class="quiz-title" tabindex="-1">${t('quiz.final.title')}</h3>
+                    <p class="quiz-description">${renderQuizInline(quiz.title)}</p>
                 </div>
             </div>
             
             <div class="quiz-content">
-                <div class="quiz-result ${gradeColor}">
-                    <span class="quiz-result-icon">${gradeIcon}</span>
-                    <div class="quiz-result-text">${grade}</div>
+                <div class="quiz-result ${grade.status}" role="status">
+                    <span class="quiz-result-icon">${escapeQuizHtml(grade.icon || '')}</span>
+                    <div class="quiz-result-text">${escapeQuizHtml(grade.label || t(grade.labelKey))}</div>
                     <div class="quiz-result-details">
-                        Ваш результат: ${this.score} из ${maxScore} баллов (${percentage}%)<br>
-                        Время выполнения: ${timeSpent} секунд<br>
-                        Правильных ответов: ${this.getCorrectAnswersCount()} из ${totalQuestions}
+                        ${this.timedOut ? `${t('quiz.final.timedOut')}<br>` : ''}
+                        ${t('quiz.final.score', { score: this.score, count: maxScore, percentage })}<br>
+                        ${t('quiz.final.time', { count: timeSpent })}<br>
+                        ${t('quiz.final.correct', { correct: this.getCorrectAnswersCount(), total: totalQuestions })}
                     </div>
                 </div>
                 
                 <div class="quiz-controls">
-                    <button class="quiz-btn quiz-btn-primary" onclick="location.reload()">Пройти еще раз</button>
-                    <button class="quiz-btn quiz-btn-secondary" onclick="window.history.back()">Вернуться к курсу</button>
+                    ${this.renderButton('restart', t('quiz.button.restart'), 'primary')}
+                    ${this.renderButton('export', t('quiz.button.export'), 'secondary')}
+                    <button class="quiz-btn quiz-btn-secondary" onclick="window.history.back()">${t('quiz.button.back')}</button>
                 </div>
                 
                 ${this.generateDetailedResults()}
+                
+                ${this.generateAttemptHistory()}
             </div>
         `;
         
         this.container.classList.add('completed');
+        this.focusHeading('.quiz-title');
         
-        if (percentage >= 75) {
+        if (grade.status === 'success') {
             this.createMassiveConfetti();
         }
     }
@@ -358,24 +1998,8 @@ class TDDQuiz {
     getCorrectAnswersCount() {
         let correct = 0;
         
-        this.quizData.questions.forEach((question, qIndex) => {
-            const userAnswer = this.userAnswers[qIndex];
-            if (!userAnswer) return;
-            
-            const correctAnswers = question.options
-                .map((opt, index) => opt.correct ? index : null)
-                .filter(index => index !== null);
-            
-            let isCorrect = false;
-            
-            if (question.type === 'multiple') {
-                isCorrect = correctAnswers.every(index => userAnswer.includes(index)) &&
-                           userAnswer.every(index => correctAnswers.includes(index));
-            } else {
-                isCorrect = userAnswer.length === 1 && correctAnswers.includes(userAnswer[0]);
-            }
-            
-            if (isCorrect) correct++;
+        this.questions.forEach((question, qIndex) => {
+            if (isAnswerCorrect(question, this.userAnswers[qIndex])) correct++;
         });
         
         return correct;
@@ -384,27 +2008,23 @@ class TDDQuiz {
     generateDetailedResults() {
         return `
             <div style="margin-top: 2rem; padding: 1rem; background: rgba(255,255,255,0.1); border-radius: 0.5rem;">
-                <h4 style="margin: 0 0 1rem 0; color: white;">📊 Детальные результаты:</h4>
-                ${this.quizData.questions.map((question, index) => {
+                <h4 style="margin: 0 0 1rem 0; color: white;">${t('quiz.details.title')}</h4>
+                ${this.questions.map((question, index) => {
                     const userAnswer = this.userAnswers[index];
-                    const correctAnswers = question.options
-                        .map((opt, optIndex) => opt.correct ? optIndex : null)
-                        .filter(optIndex => optIndex !== null);
-                    
-                    let isCorrect = false;
-                    
-                    if (userAnswer) {
-                        if (question.type === 'multiple') {
-                            isCorrect = correctAnswers.every(optIndex => userAnswer.includes(optIndex)) &&
-                                       userAnswer.every(optIndex => correctAnswers.includes(optIndex));
-                        } else {
-                            isCorrect = userAnswer.length === 1 && correctAnswers.includes(userAnswer[0]);
-                        }
-                    }
+                    const isCorrect = isAnswerCorrect(question, userAnswer);
+                    const earned = this.getQuestionScore(index);
+                    const isPartial = !isCorrect && earned > 0;
+                    const testsInfo = question.type === 'code' && userAnswer
+                        ? ` (${describeQuizAnswer(question, userAnswer)})`
+                        : '';
+                    const timeInfo = this.expiredQuestions.includes(index) ? ` — ⏰ ${t('quiz.details.timeUp')}` : '';
                     
                     return `
                         <div style="margin-bottom: 0.5rem; font-size: 0.9rem;">
-                            ${isCorrect ? '✅' : '❌'} Вопрос ${index + 1}: ${isCorrect ? 'Правильно' : 'Неправильно'}
+                            ${isCorrect ? '✅' : isPartial ? '🌓' : '❌'} ${t('quiz.details.question', { number: index + 1 })}
+                            ${t(isCorrect ? 'quiz.details.correct' : isPartial ? 'quiz.details.partial' : 'quiz.details.wrong')}${testsInfo}
+                            — ${t('quiz.details.points', { earned, points: question.points || 1 })}
+                            — ⏱ ${t('common.seconds', { count: Math.round(this.getQuestionTime(index) / 1000) })}${timeInfo}
                         </div>
                     `;
                 }).join('')}
@@ -412,7 +2032,29 @@ class TDDQuiz {
         `;
     }
     
+    generateAttemptHistory() {
+        const history = this.getHistory();
+        if (history.length < 2) return '';
+        
+        return `
+            <div class="quiz-history">
+                <h4>${t('quiz.history.title')}</h4>
+                <ol class="quiz-history-list">
+                    ${history.slice().reverse().map((attempt, index) => `
+                        <li class="${index === 0 ? 'latest' : ''}">
+                            ${new Date(attempt.finishedAt).toLocaleString(I18n.getLocale())} —
+                            ${t('quiz.history.score', { score: attempt.score, max: attempt.maxScore, percentage: attempt.percentage })},
+                            ${t('common.seconds', { count: attempt.timeSpent })}
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+        `;
+    }
+    
     createConfetti() {
+        if (prefersReducedMotion()) return;
+        
         for (let i = 0; i < 10; i++) {
             setTimeout(() => {
                 const confetti = document.createElement('div');
@@ -429,6 +2071,8 @@ class TDDQuiz {
     }
     
     createMassiveConfetti() {
+        if (prefersReducedMotion()) return;
+        
         for (let i = 0; i < 50; i++) {
             setTimeout(() => {
                 const confetti = document.createElement('div');
@@ -451,7 +2095,7 @@ class TDDQuiz {
  */
 
 // Initialize quiz from data attribute
-function initQuizFromData(containerId) {
+function initQuizFromData(containerId, options = {}) {
     const container = document.getElementById(containerId);
     if (!container) return;
     
@@ -461,28 +2105,54 @@ function initQuizFromData(containerId) {
         return;
     }
     
+    let quizData;
     try {
-        const quizData = JSON.parse(quizDataScript.textContent);
-        new TDDQuiz(containerId, quizData);
+        quizData = JSON.parse(quizDataScript.textContent);
     } catch (error) {
         console.error('Error parsing quiz data:', error);
+        showQuizDataErrors(container, [t('quiz.invalidJson', { message: error.message })]);
+        return;
+    }
+    
+    const errors = window.QuizValidator ? window.QuizValidator.validateQuizData(quizData) : [];
+    if (errors.length > 0) {
+        console.error(`Invalid quiz data in #${containerId}:`, errors);
+        showQuizDataErrors(container, errors);
+        return;
     }
+    
+    return new TDDQuiz(containerId, quizData, options);
+}
+
+/**
+ * Replace a broken quiz with a box listing what the author has to fix
+ */
+function showQuizDataErrors(container, errors) {
+    container.innerHTML = `
+        <div class="quiz-errors" role="alert">
+            <strong>${escapeQuizHtml(t('quiz.dataError', { id: container.id }))}</strong>
+            <ul>${errors.map(error => `<li>${escapeQuizHtml(error)}</li>`).join('')}</ul>
+        </div>
+    `;
 }
 
 // Auto-initialize all quizzes on page load
-document.addEventListener('DOMContentLoaded', function() {
-    const quizContainers = document.querySelectorAll('.quiz-container');
-    quizContainers.forEach((container, index) => {
-        // If container doesn't have an id, generate one
-        if (!container.id) {
-            container.id = `quiz-container-${index}-${Date.now()}`;
-        }
-        
-        if (container.querySelector('script[type="application/json"]')) {
-            initQuizFromData(container.id);
-        }
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        const quizContainers = document.querySelectorAll('.quiz-container');
+        quizContainers.forEach((container, index) => {
+            // If container doesn't have an id, generate one
+            // (stable, so that saved progress can be found again)
+            if (!container.id) {
+                container.id = `quiz-container-${index}`;
+            }
+            
+            if (container.querySelector('script[type="application/json"]')) {
+                initQuizFromData(container.id);
+            }
+        });
     });
-});
+}
 
 /**
  * 🎯 Quiz Data Templates
@@ -500,7 +2170,13 @@ function createQuiz(containerId, title, description, questions, icon = '🧪') {
     return new TDDQuiz(containerId, quizData);
 }
 
+// Page-level access for lesson scripts and the browser console
+if (typeof window !== 'undefined') {
+    window.TDDQuiz = TDDQuiz;
+    window.QuizRegistry = QuizRegistry;
+}
+
 // Export for use in modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { TDDQuiz, createQuiz, initQuizFromData };
+    module.exports = { TDDQuiz, QuizRegistry, createQuiz, initQuizFromData, isAnswerCorrect, scoreAnswer, getQuizGrade, renderQuizInline, renderQuizMarkdown };
 }
@@ -0,0 +1,27 @@
+/**
+ * #️⃣ Content Fingerprints
+ * Short FNV-1a hashes that tell whether saved data (quiz state in quiz.js,
+ * code drafts in code-editor.js) was written against an older version of
+ * the content. Loaded before both of them
+ */
+
+/**
+ * @param {string} text - Text to hash
+ * @returns {string} - FNV-1a hash in hex
+ */
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+}
+
+if (typeof window !== 'undefined') {
+    window.hashText = hashText;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { hashText };
+}
@@ -0,0 +1,132 @@
+/**
+ * Service worker keeping the course usable offline
+ * Lives at the site root so that its scope covers every page
+ *
+ * - Pyodide runtime files and CDN libraries are versioned by URL, so they
+ *   are served cache-first
+ * - Pages and site assets are served network-first, falling back to the cache
+ * - Pages post { type: 'precache', urls } for files fetched before this
+ *   worker took control (first visit, Pyodide runtime loaded by the worker)
+ */
+
+const CACHE_NAME = 'course-offline-v1';
+
+// Pyodide mirrors (CDN or self-hosted under assets/pyodide/) and CDN libraries
+const RUNTIME_HOSTS = ['cdn.jsdelivr.net', 'fastly.jsdelivr.net', 'cdnjs.cloudflare.com'];
+
+/**
+ * Check whether a URL points to an immutable runtime file
+ * @param {URL} url - Request URL
+ * @returns {boolean}
+ */
+function isRuntimeAsset(url) {
+    return url.pathname.includes('/pyodide/') || RUNTIME_HOSTS.includes(url.hostname);
+}
+
+/**
+ * Responses worth keeping: successful or opaque (cross-origin no-cors)
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function isCacheable(response) {
+    return response && (response.ok || response.type === 'opaque');
+}
+
+/**
+ * Fetch a runtime file, preferring a CORS response: an opaque one could not
+ * be reused for the CORS requests Pyodide makes (e.g. for the .wasm binary)
+ * @param {string} url - Absolute URL
+ * @returns {Promise<Response>}
+ */
+async function fetchRuntime(url) {
+    try {
+        return await fetch(url, { mode: 'cors', credentials: 'omit' });
+    } catch (error) {
+        return fetch(url, { mode: 'no-cors' });
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetchRuntime(request.url);
+    if (isCacheable(response)) {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (isCacheable(response)) {
+            const cache = await caches.open(CACHE_NAME);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Store URLs that are not cached yet
+ * @param {string[]} urls - Absolute URLs
+ */
+async function precache(urls) {
+    const cache = await caches.open(CACHE_NAME);
+
+    await Promise.all(urls.map(async (url) => {
+        if (await cache.match(url)) {
+            return;
+        }
+        try {
+            const response = await fetchRuntime(url);
+            if (isCacheable(response)) {
+                await cache.put(url, response);
+            }
+        } catch (error) {
+            // Best effort: the file is cached on its next successful fetch
+        }
+    }));
+}
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'precache') {
+        event.waitUntil(precache(event.data.urls || []));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+    if (isRuntimeAsset(url)) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    }
+});
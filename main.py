@@ -8,6 +8,23 @@ import subprocess
 import sys
 from typing import Dict, Any
 
+# Окружение mkdocs-macros: нужно макросам, читающим конфиг сайта и мета страницы
+_macros_env: Any = None
+
+# Настройки загрузки Pyodide по умолчанию (переопределяются в extra.pyodide
+# файла mkdocs.yml и в мета-данных страницы через ключ pyodide)
+DEFAULT_PYODIDE_CONFIG: Dict[str, Any] = {
+    "version": "0.28.2",
+    "index_urls": ["https://cdn.jsdelivr.net/pyodide/v{version}/full/"],
+    "packages": ["micropip"],
+    "wheel_dir": "assets/wheels/",
+    "offline_cache": True,
+}
+
+# Плейсхолдер редактора по умолчанию; в браузере переводится ключом
+# runner.placeholder каталога сообщений (assets/js/i18n.js)
+DEFAULT_CODE_PLACEHOLDER = "Введите ваш код здесь..."
+
 
 def hashFiles(pattern: str) -> str:
     """
@@ -24,6 +41,8 @@ def define_env(env):
     """
     Основная функция для определения макросов и переменных
     """
+    global _macros_env
+    _macros_env = env
 
     # Добавить базовые переменные
     env.variables.update(
@@ -46,12 +65,37 @@ def define_env(env):
     env.macro(create_exercise_form)
 
 
+def pyodide_config() -> Dict[str, Any]:
+    """
+    Собирает настройки загрузки Pyodide для текущей страницы
+
+    Порядок приоритета: мета-данные страницы (ключ pyodide), затем
+    extra.pyodide из mkdocs.yml, затем DEFAULT_PYODIDE_CONFIG
+
+    Returns:
+        Словарь с ключами version, index_urls (цепочка зеркал; {version}
+        подставляется в браузере, относительные пути отсчитываются от корня
+        сайта), packages, wheel_dir и offline_cache
+    """
+    config = dict(DEFAULT_PYODIDE_CONFIG)
+    if _macros_env is not None:
+        config.update(_macros_env.conf.get("extra", {}).get("pyodide") or {})
+        page = getattr(_macros_env, "page", None)
+        if page is not None and page.meta:
+            config.update(page.meta.get("pyodide") or {})
+    return config
+
+
 def code_input_form(
     exercise_id: str,
     initial_code: str = "",
-    placeholder: str = "Введите ваш код здесь...",
+    placeholder: str = DEFAULT_CODE_PLACEHOLDER,
     use_pyodide: bool = True,
     test_cases: list | None = None,
+    time_limit: int = 10,
+    setup_code: str = "",
+    stdin: str = "",
+    packages: list | None = None,
 ) -> str:
     """
     Создает форму для ввода кода с кнопкой проверки
@@ -59,12 +103,25 @@ def code_input_form(
     Args:
         exercise_id: Уникальный идентификатор упражнения
         initial_code: Начальный код в форме
-        placeholder: Текст плейсхолдера
+        placeholder: Текст плейсхолдера; плейсхолдер по умолчанию переводится
+            в браузере на язык интерфейса, свой текст выводится как есть
         use_pyodide: bool (default True) - когда True, функция выполняется под Pyodide,
             когда False использует хост-интерпретатор
         test_cases: list | None (default None) - опциональный список тестовых случаев
             (входные данные/ожидаемые результаты) для запуска и валидации кода.
             None означает, что дополнительные тестовые случаи не предоставлены
+        time_limit: int (default 10) - лимит времени одного запуска в секундах;
+            по истечении интерпретатор Pyodide останавливается и перезапускается
+        setup_code: str (default "") - общий код подготовки упражнения. Выполняется
+            перед кодом студента как модуль `exercise_setup`; его публичные имена
+            доступны в коде и тестах. Каждый запуск получает чистое пространство имен
+        stdin: str (default "") - текст, подаваемый на sys.stdin; каждая строка
+            становится ответом на очередной вызов input()
+        packages: list | None (default None) - пакеты, которые нужны упражнению
+            (например ["pydantic", "attrs"]). Устанавливаются через micropip перед
+            первым запуском: из дистрибутива Pyodide или, если указано имя файла
+            .whl, из каталога wheel_dir сайта. Установленные пакеты остаются
+            доступными до конца сессии
 
     Returns:
         HTML строка с формой ввода кода
@@ -72,10 +129,17 @@ def code_input_form(
     form_id = f"code_form_{exercise_id}"
     textarea_id = f"code_input_{exercise_id}"
     button_id = f"run_button_{exercise_id}"
+    stop_button_id = f"stop_button_{exercise_id}"
     output_id = f"output_{exercise_id}"
 
     # Экранируем кавычки в JavaScript строках
     escaped_placeholder = placeholder.replace('"', "&quot;")
+    # Свой плейсхолдер упражнения не переводится
+    placeholder_i18n_attr = (
+        ' data-i18n-placeholder="runner.placeholder"'
+        if placeholder == DEFAULT_CODE_PLACEHOLDER
+        else ""
+    )
     escaped_initial = (
         initial_code.replace('"', "&quot;").replace("\n", "\\n").replace("\r", "")
     )
@@ -88,35 +152,58 @@ def code_input_form(
     if test_cases:
         test_cases_json = json.dumps(test_cases)
 
+    runner_options_json = json.dumps(
+        {
+            "timeLimit": time_limit,
+            "setupCode": setup_code,
+            "stdin": stdin,
+            "packages": packages or [],
+        }
+    )
+
     # Escape JSON string for HTML attribute (escape &, <, >, ", ')
     escaped_test_cases_json = html.escape(test_cases_json, quote=True)
+    escaped_runner_options_json = html.escape(runner_options_json, quote=True)
+
+    # Pyodide mirrors and preloaded packages for this page
+    pyodide_config_attr = ""
+    if use_pyodide:
+        escaped_pyodide_config = html.escape(json.dumps(pyodide_config()), quote=True)
+        pyodide_config_attr = f' data-pyodide-config="{escaped_pyodide_config}"'
 
     # Choose execution method
     onclick_handler = (
-        f"runExerciseWithPyodide('{exercise_id}', {escaped_test_cases_json})"
+        f"runExerciseWithPyodide('{exercise_id}', {escaped_test_cases_json}, {escaped_runner_options_json})"
         if use_pyodide
         else f"runExerciseSimple('{exercise_id}')"
     )
 
-    # Add Pyodide script if needed (only once per page)
-    pyodide_script = ""
+    # Pyodide itself is loaded once per page by the worker (pyodide-worker.js),
+    # so the form only needs the stop button and the loading indicator
+    stop_button = ""
+    loading_indicator = ""
     if use_pyodide:
-        pyodide_script = """
-<script src="https://cdn.jsdelivr.net/pyodide/v0.28.2/full/pyodide.js"></script>
-"""
+        stop_button = f"""
+            <button type="button" id="{stop_button_id}" class="stop-button" onclick="stopExercise('{exercise_id}')" style="display: none;" data-i18n="runner.stop">
+                ⏹ Остановить
+            </button>"""
+        loading_indicator = f"""
+    <div id="pyodide_loading_{exercise_id}" class="pyodide-loading" role="status" hidden>
+        <span class="pyodide-loading-label"></span>
+        <progress class="pyodide-loading-bar" max="3" value="0"></progress>
+    </div>"""
 
     return f"""
-{pyodide_script}
-<div class="code-exercise" id="{exercise_id}">
+<div class="code-exercise" id="{exercise_id}" data-total-tests="{len(test_cases or [])}"{pyodide_config_attr}>
     <form id="{form_id}" class="code-input-form">
         <div class="form-group">
-            <label for="{textarea_id}">Ваш код:</label>
+            <label for="{textarea_id}" data-i18n="runner.codeLabel">Ваш код:</label>
             <textarea
                 id="{textarea_id}"
                 name="user_code"
                 class="code-textarea"
                 rows="15"
-                placeholder="{escaped_placeholder}"
+                placeholder="{escaped_placeholder}"{placeholder_i18n_attr}
                 data-initial="{escaped_initial}"
                 data-exercise-id="{exercise_id}"
                 spellcheck="false"
@@ -126,16 +213,16 @@ def code_input_form(
             >{initial_code}</textarea>
         </div>
         <div class="form-actions">
-            <button type="button" id="{button_id}" class="run-button" onclick="{onclick_handler}">
+            <button type="button" id="{button_id}" class="run-button" onclick="{onclick_handler}" data-i18n="runner.run">
                 🚀 Запустить и проверить
-            </button>
-            <button type="button" class="reset-button" onclick="resetCode('{exercise_id}')">
+            </button>{stop_button}
+            <button type="button" class="reset-button" onclick="resetCode('{exercise_id}')" data-i18n="runner.reset">
                 🔄 Сбросить
             </button>
         </div>
-    </form>
+    </form>{loading_indicator}
     <div id="{output_id}" class="exercise-output" style="display: none;">
-        <h4>Результаты проверки:</h4>
+        <h4 data-i18n="runner.resultsTitle">Результаты проверки:</h4>
         <div class="output-content"></div>
     </div>
 </div>
@@ -147,7 +234,7 @@ function runExerciseSimple(exerciseId) {{
     const output = document.getElementById('output_' + exerciseId);
     const button = document.getElementById('run_button_' + exerciseId);
 
-    button.innerHTML = '⏳ Выполняется...';
+    button.textContent = t('runner.running');
     button.disabled = true;
 
     setTimeout(() => {{
@@ -160,42 +247,78 @@ function runExerciseSimple(exerciseId) {{
                     success: true,
                     tests_passed: 1,
                     total_tests: 1,
-                    test_details: '<p>✅ Синтаксис корректен</p>'
+                    test_details: `<p>${{t('runner.simple.syntaxOk')}}</p>`
                 }};
             }} else {{
                 result = {{
                     success: false,
-                    error: 'Функция должна содержать def и return',
-                    hints: ['Добавьте ключевое слово def', 'Добавьте оператор return']
+                    error: t('runner.simple.needDefReturn'),
+                    hints: [t('runner.simple.hintDef'), t('runner.simple.hintReturn')]
                 }};
             }}
         }} catch (error) {{
             result = {{
                 success: false,
-                error: 'Ошибка в коде: ' + error.message
+                error: t('runner.simple.codeError', {{ message: error.message }})
             }};
         }}
 
         displayResults(exerciseId, result);
-        button.innerHTML = '🚀 Запустить и проверить';
+        button.textContent = t('runner.run');
         button.disabled = false;
     }}, 1000);
 }}
 
+function escapeHtml(text) {{
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}}
+
+function renderTestResults(tests) {{
+    const icons = {{ passed: '✅', failed: '❌', error: '💥' }};
+    const items = tests.map((test, index) => `
+        <li class="test-result test-${{test.status}}">
+            <span class="test-result-name">${{icons[test.status] || '❔'}} ${{escapeHtml(t('runner.test', {{ number: index + 1, name: test.name }}))}}</span>
+            <span class="test-result-duration">${{t('runner.duration', {{ ms: test.duration }})}}</span>
+            ${{test.message ? `<div class="test-result-message">${{escapeHtml(test.message)}}</div>` : ''}}
+            ${{test.output ? `<pre class="test-result-output">${{escapeHtml(test.output)}}</pre>` : ''}}
+        </li>
+    `).join('');
+    return `<ul class="test-result-list">${{items}}</ul>`;
+}}
+
+function renderProgramOutput(data) {{
+    // stdout and stderr are shown separately, stderr also carries warnings
+    let html = '';
+    if (data.output) {{
+        html += `<div class="program-output"><h6>${{t('runner.stdout')}}</h6><pre class="exercise-stdout">${{escapeHtml(data.output)}}</pre></div>`;
+    }}
+    if (data.errors) {{
+        html += `<div class="program-output"><h6>${{t('runner.stderr')}}</h6><pre class="exercise-stderr">${{escapeHtml(data.errors)}}</pre></div>`;
+    }}
+    return html;
+}}
+
 function displayResults(exerciseId, data) {{
     const output = document.getElementById('output_' + exerciseId);
     const outputContent = output.querySelector('.output-content');
 
     output.style.display = 'block';
 
+    // Structured per-test records from the Pyodide runner, or prebuilt HTML
+    const testDetails = data.tests ? renderTestResults(data.tests) : (data.test_details || '');
+
     // CRITICAL: Check if no tests were run
     if (data.noTestsRun) {{
         const noTestsHtml = `
             <div class="info-message">
-                <h5>ℹ️ Код выполнен успешно</h5>
+                <h5>${{t('runner.noTests.title')}}</h5>
                 <div class="test-results">
-                    <p>Тесты не были запущены. Добавьте код и проверьте его выполнение.</p>
-                    ${{data.output ? `<div class="output-content"><pre>${{data.output}}</pre></div>` : ''}}
+                    <p>${{t('runner.noTests.text')}}</p>
+                    ${{renderProgramOutput(data)}}
                 </div>
             </div>
         `;
@@ -205,31 +328,49 @@ function displayResults(exerciseId, data) {{
         // CRITICAL: Only show success if ALL tests passed AND there are tests
         const successHtml = `
             <div class="success-message">
-                <h5>✅ Поздравляем! Все тесты пройдены!</h5>
+                <h5>${{t('runner.allPassed')}}</h5>
                 <div class="test-results">
-                    <p>Пройдено тестов: ${{data.tests_passed}}/${{data.total_tests}}</p>
+                    <p>${{t('common.testsPassed', {{ passed: data.tests_passed, total: data.total_tests }})}}</p>
                     <div class="test-details">
-                        ${{data.test_details || ''}}
+                        ${{testDetails}}
                     </div>
+                    ${{renderProgramOutput(data)}}
                 </div>
             </div>
         `;
         outputContent.innerHTML = successHtml;
         output.className = 'exercise-output success';
+    }} else if (data.tests) {{
+        // Code ran, but some tests did not pass
+        const failedHtml = `
+            <div class="error-message">
+                <h5>${{t('runner.someFailed')}}</h5>
+                <div class="test-results">
+                    <p>${{t('common.testsPassed', {{ passed: data.tests_passed, total: data.total_tests }})}}</p>
+                    <div class="test-details">
+                        ${{testDetails}}
+                    </div>
+                    ${{renderProgramOutput(data)}}
+                </div>
+            </div>
+        `;
+        outputContent.innerHTML = failedHtml;
+        output.className = 'exercise-output error';
     }} else {{
-        const errorMsg = data.error || 'Неизвестная ошибка';
+        const errorMsg = data.error || t('runner.unknownError');
         let hintsHtml = '';
         if (data.hints && data.hints.length > 0) {{
             const hintsList = data.hints.map(hint => `<li>${{hint}}</li>`).join('');
-            hintsHtml = `<div class="hints"><h6>Подсказки:</h6><ul>${{hintsList}}</ul></div>`;
+            hintsHtml = `<div class="hints"><h6>${{t('runner.hints')}}</h6><ul>${{hintsList}}</ul></div>`;
         }}
 
         const errorHtml = `
             <div class="error-message">
-                <h5>❌ Есть ошибки в коде</h5>
+                <h5>${{t('runner.hasErrors')}}</h5>
                 <div class="error-details">
-                    <pre class="error-traceback">${{errorMsg}}</pre>
+                    <pre class="error-traceback">${{escapeHtml(errorMsg)}}</pre>
                 </div>
+                ${{renderProgramOutput(data)}}
                 ${{hintsHtml}}
             </div>
         `;
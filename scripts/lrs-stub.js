@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Local LRS stub for checking xAPI quiz reports
+ *
+ * Accepts statements at POST <prefix>/statements, prints a line per statement
+ * and returns them from GET <prefix>/statements. Nothing is persisted.
+ *
+ * Usage: node scripts/lrs-stub.js [port]
+ * Then set `extra.lms.xapi.endpoint: http://localhost:8088/xapi/` in mkdocs.yml
+ * or open a page with ?endpoint=http://localhost:8088/xapi/
+ */
+
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8088;
+const PREFIX = '/xapi';
+const statements = [];
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Experience-API-Version',
+    'X-Experience-API-Version': '1.0.3'
+};
+
+function send(response, status, body) {
+    response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+function isValidStatement(statement) {
+    return Boolean(statement) && typeof statement === 'object' &&
+        Boolean(statement.verb) && typeof statement.verb.id === 'string' &&
+        Boolean(statement.object) && typeof statement.object.id === 'string';
+}
+
+function describe(statement) {
+    const verb = statement.verb.id.split('/').pop();
+    const result = statement.result || {};
+    const score = result.score ? ` ${result.score.raw}/${result.score.max}` : '';
+    const success = result.success === undefined ? '' : result.success ? ' ✅' : ' ❌';
+    return `${verb.padEnd(9)} ${statement.object.id}${score}${success}`;
+}
+
+function receive(request, response) {
+    let body = '';
+    request.on('data', chunk => {
+        body += chunk;
+    });
+    request.on('end', () => {
+        let received;
+        try {
+            received = [].concat(JSON.parse(body));
+        } catch (error) {
+            send(response, 400, { error: `Некорректный JSON: ${error.message}` });
+            return;
+        }
+
+        const invalidIndex = received.findIndex(statement => !isValidStatement(statement));
+        if (invalidIndex !== -1) {
+            send(response, 400, { error: `Некорректное высказывание #${invalidIndex + 1}: нужны verb.id и object.id` });
+            return;
+        }
+
+        received.forEach(statement => {
+            statements.push({ ...statement, stored: new Date().toISOString() });
+            console.log(describe(statement));
+        });
+        send(response, 200, received.map(statement => statement.id));
+    });
+}
+
+const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, `http://localhost:${PORT}`);
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, CORS_HEADERS);
+        response.end();
+    } else if (pathname !== `${PREFIX}/statements`) {
+        send(response, 404, { error: `Неизвестный адрес: ${pathname}` });
+    } else if (request.method === 'POST') {
+        receive(request, response);
+    } else if (request.method === 'GET') {
+        send(response, 200, { statements, more: '' });
+    } else {
+        send(response, 405, { error: `Метод ${request.method} не поддерживается` });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`📡 LRS-заглушка: http://localhost:${PORT}${PREFIX}/`);
+});
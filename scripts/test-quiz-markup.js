@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Check the Markdown subset of quiz text against known inputs
+ *
+ * Runs renderQuizInline / renderQuizMarkdown from docs/assets/js/quiz.js and
+ * compares the HTML with the expected one. Exits with code 1 on a mismatch.
+ *
+ * Usage: node scripts/test-quiz-markup.js
+ */
+
+const { renderQuizInline, renderQuizMarkdown } = require('../docs/assets/js/quiz.js');
+
+const CASES = [
+    [renderQuizInline, '**жирный** и *курсив*', '<strong>жирный</strong> и <em>курсив</em>'],
+    [renderQuizInline, '(*в скобках*), *a* *b*', '(<em>в скобках</em>), <em>a</em> <em>b</em>'],
+    // Asterisks of arithmetic and inside words are not emphasis
+    [renderQuizInline, '2*3*4', '2*3*4'],
+    [renderQuizInline, 'x * y * z', 'x * y * z'],
+    [renderQuizInline, 'a**b**c и слово*слово*', 'a**b**c и слово*слово*'],
+    [renderQuizInline, '`2*3*4` и *x*', '<code>2*3*4</code> и <em>x</em>'],
+    [renderQuizInline, '`__init__` и <b>', '<code>__init__</code> и &lt;b&gt;'],
+    [renderQuizInline, '[ссылка](javascript:alert(1))', '[ссылка](javascript:alert(1))'],
+    [renderQuizMarkdown, 'Первый\n\nВторой: 2*3*4', '<p>Первый</p><p>Второй: 2*3*4</p>']
+];
+
+function main() {
+    let failures = 0;
+
+    CASES.forEach(([render, input, expected]) => {
+        const actual = render(input);
+        if (actual !== expected) {
+            failures++;
+            console.error(`${render.name}(${JSON.stringify(input)})\n  ожидалось: ${expected}\n  получено:  ${actual}`);
+        }
+    });
+
+    if (failures > 0) {
+        console.error(`\n❌ Несовпадений: ${failures} из ${CASES.length}`);
+        process.exit(1);
+    }
+    console.log(`✅ Разметка тестов: ${CASES.length} случаев, ошибок нет`);
+}
+
+main();
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Validate the quizzes embedded in the docs
+ *
+ * Finds every `.quiz-container` with a JSON script in docs/**\/*.md and checks
+ * it with the same validator the browser uses (docs/assets/js/quiz-validator.js).
+ * Exits with code 1 if any quiz is broken, so the site build fails early.
+ *
+ * Usage: node scripts/validate-quizzes.js [docs dir]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateQuizData } = require('../docs/assets/js/quiz-validator.js');
+
+const QUIZ_BLOCK = /<div class="quiz-container"([^>]*)>\s*<script type="application\/json">([\s\S]*?)<\/script>/g;
+const FENCED_CODE = /^( {0,3})(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\1\2[ \t]*$/gm;
+
+function findMarkdownFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return findMarkdownFiles(fullPath);
+        return entry.name.endsWith('.md') ? [fullPath] : [];
+    });
+}
+
+// Examples in fenced code blocks are documentation, not quizzes; keep line numbers intact
+function blankFencedCode(text) {
+    return text.replace(FENCED_CODE, block => block.replace(/[^\n]/g, ' '));
+}
+
+function lineOf(text, offset) {
+    return text.slice(0, offset).split('\n').length;
+}
+
+/**
+ * @returns {Array<{line: number, id: string, message: string}>} - Problems found in one page
+ */
+function validatePage(text) {
+    const problems = [];
+    const seenIds = new Set();
+    const source = blankFencedCode(text);
+
+    for (const match of source.matchAll(QUIZ_BLOCK)) {
+        const line = lineOf(source, match.index);
+        const idMatch = match[1].match(/\sid="([^"]*)"/);
+        const id = idMatch ? idMatch[1] : '';
+        const report = message => problems.push({ line, id, message });
+
+        if (!id) {
+            report('У контейнера нет id: без него прогресс теста зависит от порядка тестов на странице');
+        } else if (seenIds.has(id)) {
+            report(`id "${id}" уже используется на этой странице`);
+        }
+        seenIds.add(id);
+
+        let quizData;
+        try {
+            quizData = JSON.parse(match[2]);
+        } catch (error) {
+            report(`Некорректный JSON: ${error.message}`);
+            continue;
+        }
+        validateQuizData(quizData).forEach(report);
+    }
+
+    return problems;
+}
+
+function main() {
+    const docsDir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'docs'));
+    let quizCount = 0;
+    let problemCount = 0;
+
+    findMarkdownFiles(docsDir).sort().forEach(file => {
+        const text = fs.readFileSync(file, 'utf8');
+        quizCount += (blankFencedCode(text).match(QUIZ_BLOCK) || []).length;
+
+        validatePage(text).forEach(({ line, id, message }) => {
+            problemCount++;
+            console.error(`${path.relative(process.cwd(), file)}:${line}${id ? ` #${id}` : ''}: ${message}`);
+        });
+    });
+
+    if (problemCount > 0) {
+        console.error(`\n❌ Ошибок в тестах: ${problemCount}`);
+        process.exit(1);
+    }
+    console.log(`✅ Тестов проверено: ${quizCount}, ошибок нет`);
+}
+
+main();